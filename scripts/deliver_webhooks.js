@@ -0,0 +1,25 @@
+import DatabaseManager from '../src/database.js';
+import { WebhookService } from '../src/webhooks.js';
+
+// Sends webhook deliveries that are due, first attempts and retries alike.
+// Meant to run on a schedule (cron, CI job) where the API runs serverless
+// and has no timer of its own.
+async function deliverWebhooks() {
+  const dbManager = DatabaseManager.getInstance();
+  try {
+    await dbManager.connect();
+
+    const result = await WebhookService.processDue({ limit: 1000 });
+
+    console.log(
+      `${result.delivered} delivered, ${result.retrying} to retry, ${result.failed} failed for good`
+    );
+  } catch (error) {
+    console.error('Webhook delivery error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbManager.disconnect();
+  }
+}
+
+deliverWebhooks();
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import DatabaseManager from '../src/database.js';
+import { TransferService } from '../src/transfer.js';
+
+// Writes an organization archive for backups or moving a tenant to another
+// deployment. Credentials are included so the archive can be imported;
+// pass --redact for a copy to hand out, e.g. for a data access request.
+//
+//   npm run export -- "Acme Corp" [acme.tar.gz] [--redact]
+async function exportOrg() {
+  const args = process.argv.slice(2);
+  const redact = args.includes('--redact');
+  const [orgName, outputPath] = args.filter((arg) => arg !== '--redact');
+
+  if (!orgName) {
+    console.error('Usage: node scripts/export_org.js <organization_name> [file] [--redact]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dbManager = DatabaseManager.getInstance();
+  let prepared = null;
+  try {
+    await dbManager.connect();
+
+    const tenant = await dbManager.getTenantByName(orgName);
+    prepared = await TransferService.prepareExport(tenant, { includeSecrets: !redact });
+    const file = outputPath || prepared.fileName;
+    await prepared.writeTo(fs.createWriteStream(file));
+
+    const documents = prepared.manifest.files.reduce((sum, entry) => sum + entry.documents, 0);
+    console.log(`Exported ${orgName} to ${file} (${documents} documents)`);
+  } catch (error) {
+    console.error('Export error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await prepared?.cleanup();
+    await dbManager.disconnect();
+  }
+}
+
+exportOrg();
@@ -0,0 +1,45 @@
+import fs from 'fs';
+import DatabaseManager from '../src/database.js';
+import { TransferService } from '../src/transfer.js';
+
+// Restores an organization archive written by export_org.js, under its
+// original name or the one given with --name.
+//
+//   npm run import -- acme.tar.gz [--name "Acme Restored"]
+async function importOrg() {
+  const args = process.argv.slice(2);
+  const nameIndex = args.indexOf('--name');
+  const organizationName = nameIndex === -1 ? undefined : args[nameIndex + 1];
+  const [file] =
+    nameIndex === -1
+      ? args
+      : args.filter((arg, index) => index < nameIndex || index > nameIndex + 1);
+
+  if (!file || (nameIndex !== -1 && !organizationName)) {
+    console.error('Usage: node scripts/import_org.js <file> [--name <organization_name>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dbManager = DatabaseManager.getInstance();
+  try {
+    await dbManager.connect();
+
+    const result = await TransferService.importOrganization(fs.createReadStream(file), {
+      organizationName,
+    });
+
+    console.log(
+      `Imported ${result.organization_name} into ${result.db_name} ` +
+        `(${result.collections} collection(s), ${result.documents} documents, ` +
+        `${result.admins} admin(s))`
+    );
+  } catch (error) {
+    console.error('Import error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbManager.disconnect();
+  }
+}
+
+importOrg();
@@ -0,0 +1,106 @@
+import DatabaseManager from '../src/database.js';
+import { Migrator } from '../src/migrator.js';
+
+const USAGE = `Usage:
+  node scripts/migrate.js status
+  node scripts/migrate.js up [--master | --tenants | --db <name>] [--to <version>]
+  node scripts/migrate.js down (--master | --db <name>) [--to <version>]
+
+"up" without a database migrates the master database, then every tenant.
+"down" without --to reverts the latest applied migration.`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--master' || arg === '--tenants') {
+      options.only = arg.slice(2);
+    } else if (arg === '--db' && rest[i + 1]) {
+      options.db = rest[++i];
+    } else if (arg === '--to' && /^\d+$/.test(rest[i + 1] || '')) {
+      options.target = parseInt(rest[++i]);
+    } else {
+      return null;
+    }
+  }
+
+  return options;
+}
+
+function printStatus(status) {
+  const pending = status.pending.map((migration) => migration.version).join(', ') || 'none';
+  const unknown = status.unknown.length ? `, unknown: ${status.unknown.join(', ')}` : '';
+  console.log(
+    `${status.database} (${status.scope}): version ${status.current} of ${status.latest}, pending: ${pending}${unknown}`
+  );
+}
+
+function printApplied(database, migrations, verb) {
+  if (!migrations.length) {
+    console.log(`${database}: up to date`);
+    return;
+  }
+  migrations.forEach(({ version, name }) => console.log(`${database}: ${verb} ${version} ${name}`));
+}
+
+// Shows and runs the schema migrations of src/migrations.js. The API runs
+// pending ones at startup as well; this is for deploy pipelines, checking
+// a database and rolling back.
+async function migrate() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options || !['status', 'up', 'down'].includes(options.command)) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.command === 'down' && !options.db && options.only !== 'master') {
+    console.error('down needs --master or --db <name>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dbManager = DatabaseManager.getInstance();
+  try {
+    await dbManager.connect();
+
+    if (options.command === 'status') {
+      const { master, tenants } = await Migrator.statusAll();
+      printStatus(master);
+      tenants.forEach(printStatus);
+    } else if (options.command === 'down') {
+      const reverted = await Migrator.rollback(options.db, { target: options.target });
+      printApplied(options.db || 'master', reverted, 'reverted');
+    } else if (options.db) {
+      const applied = await Migrator.migrate(options.db, { target: options.target });
+      printApplied(options.db, applied, 'applied');
+    } else {
+      if (options.only !== 'tenants') {
+        const applied = await Migrator.migrate(null, { target: options.target });
+        printApplied('master', applied, 'applied');
+      }
+      if (options.only !== 'master') {
+        const result = await Migrator.migrateTenants({ target: options.target });
+        result.migrated.forEach(({ database, applied }) =>
+          printApplied(database, applied, 'applied')
+        );
+        result.skipped.forEach((database) => console.log(`${database}: skipped, locked`));
+        result.failed.forEach(({ database, error }) => console.error(`${database}: ${error}`));
+        console.log(
+          `${result.migrated.length} tenant database(s) migrated, ${result.skipped.length} skipped`
+        );
+        if (result.failed.length || result.skipped.length) {
+          process.exitCode = 1;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Migration error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbManager.disconnect();
+  }
+}
+
+migrate();
@@ -0,0 +1,32 @@
+import { MockOidcIssuer } from '../src/mockoidc.js';
+
+// Runs the mock OpenID Connect provider from src/mockoidc.js, to try single
+// sign-on locally without a real identity provider. Configure an org with
+// PUT /org/sso using the issuer, client id and secret printed below, then
+// open /auth/sso/start?organization_name=...&login_hint=<email>. The API
+// only accepts this plain-http issuer with SSO_ALLOW_LOCAL_ISSUERS=true.
+async function runMockIssuer() {
+  const port = parseInt(process.env.MOCK_OIDC_PORT || '9400');
+  const issuer = new MockOidcIssuer({
+    clientId: process.env.MOCK_OIDC_CLIENT_ID || 'mock-client',
+    clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret',
+  });
+
+  try {
+    await issuer.start(port);
+  } catch (error) {
+    console.error('Mock issuer error:', error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`Mock OpenID Connect issuer on ${issuer.issuer}`);
+  console.log(`client_id: ${issuer.clientId}, client_secret: ${issuer.clientSecret}`);
+
+  process.on('SIGINT', async () => {
+    await issuer.stop();
+    process.exit(0);
+  });
+}
+
+runMockIssuer();
@@ -0,0 +1,27 @@
+import DatabaseManager from '../src/database.js';
+import { OrganizationService } from '../src/services.js';
+
+// Drops the data of organizations whose retention window has expired.
+// Meant to run on a schedule (cron, CI job) alongside the API.
+async function purgeDeletedOrgs() {
+  const dbManager = DatabaseManager.getInstance();
+  try {
+    await dbManager.connect();
+
+    const result = await OrganizationService.purgeDeletedOrganizations();
+
+    console.log(`Purged ${result.purged.length} organization(s)`);
+    result.purged.forEach((name) => console.log(` - ${name}`));
+    if (result.failed > 0) {
+      console.error(`${result.failed} organization(s) failed to purge, see logs`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Purge error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await dbManager.disconnect();
+  }
+}
+
+purgeDeletedOrgs();
@@ -1,23 +1,21 @@
-import { MongoClient } from 'mongodb';
+import DatabaseManager from '../src/database.js';
 import config from '../src/config.js';
 import { PasswordManager } from '../src/auth.js';
+import { Migrator } from '../src/migrator.js';
 
 async function seedMasterDb() {
-  let client;
+  const dbManager = DatabaseManager.getInstance();
   try {
-    client = new MongoClient(config.mongoUrl);
-    await client.connect();
+    await dbManager.connect();
 
-    const db = client.db(config.masterDbName);
+    // Indexes and default plans come from the master migrations
+    const applied = await Migrator.migrate(null);
+    console.log(`Applied ${applied.length} master migration(s)`);
+
+    const db = dbManager.getDb();
     const adminCollection = db.collection(config.adminCollection);
     const orgCollection = db.collection(config.masterCollection);
 
-    // Create indexes
-    await adminCollection.createIndex({ admin_email: 1 }, { unique: true });
-    await orgCollection.createIndex({ organization_name: 1 }, { unique: true });
-
-    console.log('Indexes created successfully');
-
     // Check if sample org already exists
     const existing = await orgCollection.findOne({ organization_name: 'Sample Org' });
     if (!existing) {
@@ -60,9 +58,7 @@ async function seedMasterDb() {
     console.error('Seeding error:', error.message);
     process.exit(1);
   } finally {
-    if (client) {
-      await client.close();
-    }
+    await dbManager.disconnect();
   }
 }
 
@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+
+// Just enough of the ustar format for tenant exports: regular files with
+// short relative names, gzip-compressed. Any tar tool can open the result.
+const BLOCK_SIZE = 512;
+
+function paddingFor(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+function writeOctal(header, value, offset, length) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+function createHeader(name, size) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`Archive entry name too long: ${name}`);
+  }
+
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(Date.now() / 1000), 136, 12);
+  header.write('        ', 148, 8, 'ascii');
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+  return header;
+}
+
+function readString(header, offset, length) {
+  const end = header.indexOf(0, offset);
+  const stop = end === -1 || end > offset + length ? offset + length : end;
+  return header.toString('utf8', offset, stop);
+}
+
+function parseHeader(header) {
+  const prefix = readString(header, 345, 155);
+  const name = readString(header, 0, 100);
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: parseInt(readString(header, 124, 12).trim() || '0', 8),
+    type: String.fromCharCode(header[156] || 0x30),
+  };
+}
+
+class ArchiveWriter {
+  constructor(output) {
+    this.gzip = zlib.createGzip();
+    this.done = new Promise((resolve, reject) => {
+      this.gzip.on('error', reject);
+      output.on('error', reject);
+      output.on('finish', resolve);
+    });
+    this.gzip.pipe(output);
+  }
+
+  async write(chunk) {
+    if (!this.gzip.write(chunk)) {
+      await once(this.gzip, 'drain');
+    }
+  }
+
+  async addFile(name, filePath) {
+    const { size } = await fs.promises.stat(filePath);
+    await this.write(createHeader(name, size));
+    for await (const chunk of fs.createReadStream(filePath)) {
+      await this.write(chunk);
+    }
+    await this.write(Buffer.alloc(paddingFor(size)));
+  }
+
+  async addBuffer(name, buffer) {
+    await this.write(createHeader(name, buffer.length));
+    await this.write(buffer);
+    await this.write(Buffer.alloc(paddingFor(buffer.length)));
+  }
+
+  // Two zero blocks end a tar archive
+  async finish() {
+    await this.write(Buffer.alloc(BLOCK_SIZE * 2));
+    this.gzip.end();
+    await this.done;
+  }
+}
+
+// Unpacks a gzipped tar stream into `directory`. Only regular files whose
+// name passes `isAllowed` are accepted, and their sizes may add up to at
+// most `maxBytes`, which guards against archives that inflate enormously.
+async function extractArchive(input, directory, { isAllowed, maxBytes }) {
+  const entries = [];
+  let pending = Buffer.alloc(0);
+  let file = null;
+  let skip = 0;
+  let total = 0;
+  let ended = false;
+
+  const gunzip = input.pipe(zlib.createGunzip());
+  input.on('error', (error) => gunzip.destroy(error));
+
+  try {
+    for await (const chunk of gunzip) {
+      pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+
+      while (pending.length && !ended) {
+        if (file) {
+          const part = pending.subarray(0, file.remaining);
+          pending = pending.subarray(part.length);
+          file.remaining -= part.length;
+          if (!file.stream.write(part)) {
+            await once(file.stream, 'drain');
+          }
+          if (file.remaining === 0) {
+            file.stream.end();
+            await once(file.stream, 'close');
+            skip = paddingFor(file.size);
+            file = null;
+          }
+        } else if (skip) {
+          const skipped = Math.min(skip, pending.length);
+          pending = pending.subarray(skipped);
+          skip -= skipped;
+        } else if (pending.length >= BLOCK_SIZE) {
+          const header = pending.subarray(0, BLOCK_SIZE);
+          pending = pending.subarray(BLOCK_SIZE);
+
+          if (header.every((byte) => byte === 0)) {
+            ended = true;
+            break;
+          }
+
+          const entry = parseHeader(header);
+          if (entry.type !== '0' || !isAllowed(entry.name) || entries.includes(entry.name)) {
+            throw new Error(`Unexpected archive entry: ${entry.name}`);
+          }
+
+          total += entry.size;
+          if (total > maxBytes) {
+            throw new Error('Archive is too large');
+          }
+
+          const target = path.join(directory, entry.name);
+          await fs.promises.mkdir(path.dirname(target), { recursive: true });
+          entries.push(entry.name);
+
+          const stream = fs.createWriteStream(target);
+          if (entry.size === 0) {
+            stream.end();
+            await once(stream, 'close');
+          } else {
+            file = { stream, size: entry.size, remaining: entry.size };
+          }
+        } else {
+          break;
+        }
+      }
+    }
+  } finally {
+    // Leaves no open file behind when the archive is rejected midway
+    file?.stream.destroy();
+  }
+
+  if (file || !ended) {
+    throw new Error('Archive is truncated');
+  }
+
+  return entries;
+}
+
+export { ArchiveWriter, extractArchive };
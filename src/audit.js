@@ -0,0 +1,223 @@
+import crypto from 'crypto';
+import DatabaseManager from './database.js';
+import config from './config.js';
+import logger from './logger.js';
+
+// Hash of the (virtual) entry before the first one
+const GENESIS_HASH = '0'.repeat(64);
+
+// How often an append retries when another instance took the same seq
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Fixed field order so the hash does not depend on how Mongo returns keys
+function canonicalize(entry) {
+  return JSON.stringify([
+    entry.seq,
+    entry.timestamp.toISOString(),
+    entry.action,
+    entry.outcome,
+    entry.status_code,
+    entry.actor,
+    entry.org_id,
+    entry.org_name,
+    entry.target,
+    entry.ip,
+    entry.user_agent,
+    entry.prev_hash,
+  ]);
+}
+
+// Mongo stores undefined as null, which would change the hash on read-back
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(canonicalize(entry)).digest('hex');
+}
+
+class AuditService {
+  static getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.auditCollection);
+  }
+
+  static formatEntry(entry) {
+    return {
+      seq: entry.seq,
+      timestamp: entry.timestamp.toISOString(),
+      action: entry.action,
+      outcome: entry.outcome,
+      status_code: entry.status_code,
+      actor: entry.actor,
+      org_id: entry.org_id,
+      org_name: entry.org_name,
+      target: entry.target,
+      ip: entry.ip,
+      user_agent: entry.user_agent,
+      hash: entry.hash,
+    };
+  }
+
+  // Appends one entry to the chain. Each entry embeds the hash of its
+  // predecessor; the unique index on seq makes concurrent writers race for
+  // the slot and the loser re-reads the tail and tries again.
+  static async record(fields) {
+    const auditCollection = AuditService.getCollection();
+
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const [last] = await auditCollection.find({}).sort({ seq: -1 }).limit(1).toArray();
+
+      const entry = {
+        seq: last ? last.seq + 1 : 1,
+        timestamp: new Date(),
+        action: fields.action,
+        outcome: fields.outcome,
+        status_code: fields.status_code ?? null,
+        actor: compact(fields.actor || { type: 'anonymous' }),
+        org_id: fields.org_id || null,
+        org_name: fields.org_name || null,
+        target: fields.target || null,
+        ip: fields.ip || null,
+        user_agent: fields.user_agent || null,
+        prev_hash: last ? last.hash : GENESIS_HASH,
+      };
+      entry.hash = hashEntry(entry);
+
+      try {
+        await auditCollection.insertOne(entry);
+        return entry;
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('Failed to append audit entry: too much contention');
+  }
+
+  static async listEntries({ orgId, action, actorId, from, to, before, limit = 50 } = {}) {
+    const filter = {};
+    if (orgId) filter.org_id = orgId;
+    if (action) filter.action = action;
+    if (actorId) filter['actor.id'] = actorId;
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+    if (before) filter.seq = { $lt: before };
+
+    const entries = await AuditService.getCollection()
+      .find(filter)
+      .sort({ seq: -1 })
+      .limit(limit + 1)
+      .toArray();
+
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+
+    return {
+      entries: page.map(AuditService.formatEntry),
+      next_before: hasMore ? page[page.length - 1].seq : null,
+    };
+  }
+
+  // Walks the whole chain recomputing every hash. An edited entry breaks
+  // its own hash; a deleted or inserted one breaks the next prev_hash link.
+  static async verifyChain() {
+    const cursor = AuditService.getCollection().find({}).sort({ seq: 1 });
+
+    let expectedPrev = GENESIS_HASH;
+    let expectedSeq = 1;
+    let checked = 0;
+
+    for await (const entry of cursor) {
+      if (
+        entry.seq !== expectedSeq ||
+        entry.prev_hash !== expectedPrev ||
+        hashEntry(entry) !== entry.hash
+      ) {
+        return { valid: false, checked, broken_at: entry.seq };
+      }
+      expectedPrev = entry.hash;
+      expectedSeq += 1;
+      checked += 1;
+    }
+
+    return { valid: true, checked, broken_at: null };
+  }
+}
+
+// Resolves the affected org's id when a route only knows its name
+async function resolveOrgId(orgName) {
+  const db = DatabaseManager.getInstance().getDb();
+  const org = await db
+    .collection(config.masterCollection)
+    .findOne(
+      { $or: [{ organization_name: orgName }, { 'previous_names.name': orgName }] },
+      { projection: { _id: 1 } }
+    );
+  return org ? org._id.toString() : null;
+}
+
+function actorFromToken(user) {
+  if (!user) {
+    return { type: 'anonymous' };
+  }
+  return {
+    id: user.sub,
+    type: user.principal || 'admin',
+    role: user.role,
+  };
+}
+
+// Route middleware recording an audit entry once the response is sent.
+// `describe(req, body)` may return { org_id, org_name, target, actor } for
+// details only the handler or its response body know. Failures to write the
+// entry are logged and never affect the response.
+function audit(action, describe = () => ({})) {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      try {
+        const details = describe(req, res.locals.auditBody || {}) || {};
+        const actor = details.actor || actorFromToken(req.user);
+
+        // The resolved tenant, when the route has one, is current where
+        // the token's claims may predate a rename
+        let orgId = details.org_id || null;
+        const orgName = details.org_name || req.tenant?.name || req.user?.org_name || null;
+        if (!orgId && details.org_name) {
+          orgId = await resolveOrgId(details.org_name);
+        } else if (!orgId && !details.org_name) {
+          orgId = req.tenant?.id || req.user?.org_id || null;
+        }
+
+        await AuditService.record({
+          action,
+          outcome: res.statusCode < 400 ? 'success' : 'failure',
+          status_code: res.statusCode,
+          actor,
+          org_id: orgId,
+          org_name: orgName,
+          target: details.target,
+          ip: req.ip,
+          user_agent: req.get('user-agent'),
+        });
+      } catch (error) {
+        logger.error('Failed to write audit entry', { action, message: error.message });
+      }
+    });
+
+    next();
+  };
+}
+
+export { AuditService, audit };
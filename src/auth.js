@@ -1,7 +1,9 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import fs from 'fs';
 import config from './config.js';
+import { AuthError } from './errors.js';
 
 class PasswordManager {
   static async hashPassword(password) {
@@ -14,41 +16,237 @@ class PasswordManager {
   }
 }
 
+// JWK members that identify a key, per RFC 7638
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y'],
+  oct: ['k', 'kty'],
+};
+
+// The RFC 7638 thumbprint of a key serves as its `kid`, so every instance
+// derives the same id from the same key without further configuration
+function jwkThumbprint(jwk) {
+  const canonical = JSON.stringify(
+    Object.fromEntries(THUMBPRINT_MEMBERS[jwk.kty].map((member) => [member, jwk[member]]))
+  );
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+// Signing and verification keys for our JWTs. The current key signs every
+// new token; retired keys only verify, until their tokens have run out.
+// Each key is pinned to one algorithm, so a token cannot pick another one
+// (e.g. HS256 keyed with a public key).
+class KeyManager {
+  static keys = null;
+
+  static readPem(file) {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read JWT key file ${file}: ${error.message}`);
+    }
+  }
+
+  static algorithmFor(publicKey, file) {
+    const { asymmetricKeyType, asymmetricKeyDetails } = publicKey;
+    if (asymmetricKeyType === 'rsa' && asymmetricKeyDetails.modulusLength >= 2048) {
+      return 'RS256';
+    }
+    if (asymmetricKeyType === 'ec' && asymmetricKeyDetails.namedCurve === 'prime256v1') {
+      return 'ES256';
+    }
+    throw new Error(`${file} is neither an RSA key of 2048 bits or more nor a P-256 EC key`);
+  }
+
+  // A private key PEM, or a public one for retired keys whose private half
+  // is gone already
+  static fromPemFile(file, { signing = false } = {}) {
+    const pem = KeyManager.readPem(file);
+    const publicKey = crypto.createPublicKey(pem);
+    const jwk = publicKey.export({ format: 'jwk' });
+
+    return {
+      kid: jwkThumbprint(jwk),
+      alg: KeyManager.algorithmFor(publicKey, file),
+      jwk,
+      signingKey: signing ? crypto.createPrivateKey(pem) : null,
+      verificationKey: publicKey,
+    };
+  }
+
+  // Never published: it can mint tokens as well as verify them
+  static fromSecret(secret) {
+    const jwk = { kty: 'oct', k: Buffer.from(secret).toString('base64url') };
+
+    return {
+      kid: jwkThumbprint(jwk),
+      alg: 'HS256',
+      jwk: null,
+      signingKey: secret,
+      verificationKey: secret,
+    };
+  }
+
+  static load() {
+    const algorithm = config.jwtAlgorithm;
+    let current;
+
+    if (algorithm === 'HS256') {
+      current = KeyManager.fromSecret(config.jwtSecret);
+    } else if (algorithm === 'RS256' || algorithm === 'ES256') {
+      if (!config.jwtPrivateKeyFile) {
+        throw new Error(`JWT_ALGORITHM ${algorithm} needs JWT_PRIVATE_KEY_FILE`);
+      }
+      current = KeyManager.fromPemFile(config.jwtPrivateKeyFile, { signing: true });
+      if (current.alg !== algorithm) {
+        throw new Error(`JWT_PRIVATE_KEY_FILE holds a key for ${current.alg}, not ${algorithm}`);
+      }
+    } else {
+      throw new Error(`Unsupported JWT_ALGORITHM: ${algorithm}`);
+    }
+
+    const verification = new Map([[current.kid, current]]);
+    for (const file of config.jwtRetiredKeyFiles) {
+      const key = KeyManager.fromPemFile(file);
+      verification.set(key.kid, key);
+    }
+
+    // Tokens from before `kid` was set were all signed with the secret
+    let legacy = null;
+    if (algorithm === 'HS256' || config.jwtHs256Fallback) {
+      legacy = algorithm === 'HS256' ? current : KeyManager.fromSecret(config.jwtSecret);
+      verification.set(legacy.kid, legacy);
+    }
+
+    return { current, verification, legacy };
+  }
+
+  static getKeys() {
+    if (!KeyManager.keys) {
+      KeyManager.keys = KeyManager.load();
+    }
+    return KeyManager.keys;
+  }
+
+  // Rereads the configuration and key files on next use
+  static reset() {
+    KeyManager.keys = null;
+  }
+
+  static getSigningKey() {
+    return KeyManager.getKeys().current;
+  }
+
+  static getVerificationKey(header) {
+    const keys = KeyManager.getKeys();
+    const key = header.kid ? keys.verification.get(header.kid) : keys.legacy;
+    if (!key) {
+      throw new Error('unknown signing key');
+    }
+    return key;
+  }
+
+  // Public halves of the current and retired asymmetric keys, for
+  // GET /.well-known/jwks.json
+  static getJwks() {
+    const keys = [...KeyManager.getKeys().verification.values()]
+      .filter((key) => key.jwk)
+      .map((key) => ({ ...key.jwk, kid: key.kid, alg: key.alg, use: 'sig' }));
+
+    return { keys };
+  }
+}
+
 class TokenManager {
-  static createAccessToken(adminId, orgId, orgName, role = 'org_admin') {
+  static sign(payload, expiresIn) {
+    const key = KeyManager.getSigningKey();
+    return jwt.sign(payload, key.signingKey, {
+      algorithm: key.alg,
+      keyid: key.kid,
+      expiresIn,
+    });
+  }
+
+  static createAccessToken(adminId, orgId, orgName, role = 'org_admin', sessionId = null) {
     const payload = {
       sub: adminId,
       org_id: orgId,
       org_name: orgName,
       role,
     };
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
     const expiresIn = '15m';
-    return jwt.sign(payload, config.jwtSecret, {
-      algorithm: config.jwtAlgorithm,
-      expiresIn,
-    });
+    return TokenManager.sign(payload, expiresIn);
   }
 
-  static createRefreshToken(adminId, orgId) {
+  // Tokens for members of a tenant's users collection. The principal claim
+  // keeps them from being mistaken for master admin tokens.
+  static createUserAccessToken(userId, orgId, orgName, role) {
+    const payload = {
+      sub: userId,
+      org_id: orgId,
+      org_name: orgName,
+      role,
+      principal: 'user',
+    };
+    const expiresIn = '15m';
+    return TokenManager.sign(payload, expiresIn);
+  }
+
+  // Every token in a rotation chain shares the family id of the session that
+  // started it; jti keeps tokens issued within the same second distinct.
+  static createRefreshToken(adminId, orgId, family = crypto.randomUUID()) {
     const payload = {
       sub: adminId,
       org_id: orgId,
       type: 'refresh',
+      family,
+      jti: crypto.randomUUID(),
     };
     const expiresIn = '7d';
-    return jwt.sign(payload, config.jwtSecret, {
-      algorithm: config.jwtAlgorithm,
-      expiresIn,
-    });
+    return TokenManager.sign(payload, expiresIn);
+  }
+
+  // Bound to the address being verified, so a link sent before an email
+  // change cannot verify the new address.
+  static createEmailVerificationToken(adminId, email) {
+    const payload = {
+      sub: adminId,
+      email,
+      type: 'email_verification',
+    };
+    const expiresIn = `${config.emailVerificationTtlHours}h`;
+    return TokenManager.sign(payload, expiresIn);
+  }
+
+  // Proves the password step of a login (purpose 'mfa_challenge') or lets
+  // an admin of an org that enforces MFA enroll ('mfa_enrollment'). Neither
+  // is accepted where an access token is expected.
+  static createMfaToken(adminId, purpose) {
+    const payload = {
+      sub: adminId,
+      type: purpose,
+      jti: crypto.randomUUID(),
+    };
+    const expiresIn = `${config.mfaTokenTtlMinutes}m`;
+    return TokenManager.sign(payload, expiresIn);
   }
 
   static verifyToken(token) {
     try {
-      return jwt.verify(token, config.jwtSecret, {
-        algorithms: [config.jwtAlgorithm],
-      });
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded) {
+        throw new Error('jwt malformed');
+      }
+      const key = KeyManager.getVerificationKey(decoded.header);
+      return jwt.verify(token, key.verificationKey, { algorithms: [key.alg] });
     } catch (error) {
-      throw new Error(`Invalid token: ${error.message}`);
+      throw new AuthError(`Invalid token: ${error.message}`, {
+        code: 'INVALID_TOKEN',
+        cause: error,
+      });
     }
   }
 
@@ -57,4 +255,101 @@ class TokenManager {
   }
 }
 
-export { PasswordManager, TokenManager };
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s steps), the
+// variant every authenticator app supports
+class TotpManager {
+  static STEP_SECONDS = 30;
+  static DIGITS = 6;
+
+  static generateSecret() {
+    return TotpManager.base32Encode(crypto.randomBytes(20));
+  }
+
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  static base32Decode(secret) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of secret.replace(/=+$/, '').toUpperCase()) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  static currentStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TotpManager.STEP_SECONDS);
+  }
+
+  static generateCode(secret, step = TotpManager.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto
+      .createHmac('sha1', TotpManager.base32Decode(secret))
+      .update(counter)
+      .digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TotpManager.DIGITS).padStart(TotpManager.DIGITS, '0');
+  }
+
+  // Returns the matching time step, or null. One step either side absorbs
+  // clock drift between the server and the authenticator.
+  static verifyCode(secret, code, window = 1) {
+    if (!/^\d{6}$/.test(code)) {
+      return null;
+    }
+
+    const now = TotpManager.currentStep();
+    for (let step = now - window; step <= now + window; step++) {
+      const expected = TotpManager.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  static buildProvisioningUri(secret, accountName, issuer = config.mfaIssuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TotpManager.DIGITS),
+      period: String(TotpManager.STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+}
+
+export { PasswordManager, KeyManager, TokenManager, TotpManager };
@@ -8,14 +8,159 @@ const config = {
   masterDbName: process.env.MASTER_DB_NAME || 'master_db',
   masterCollection: process.env.MASTER_COLLECTION_NAME || 'organizations',
   adminCollection: process.env.ADMIN_COLLECTION_NAME || 'admin_users',
+  sessionCollection: process.env.SESSION_COLLECTION_NAME || 'admin_sessions',
+  auditCollection: process.env.AUDIT_COLLECTION_NAME || 'audit_log',
+  passwordResetCollection: process.env.PASSWORD_RESET_COLLECTION_NAME || 'password_resets',
+  loginAttemptCollection: process.env.LOGIN_ATTEMPT_COLLECTION_NAME || 'login_attempts',
+  rateLimitCollection: process.env.RATE_LIMIT_COLLECTION_NAME || 'rate_limits',
+  apiKeyCollection: process.env.API_KEY_COLLECTION_NAME || 'api_keys',
+  invitationCollection: process.env.INVITATION_COLLECTION_NAME || 'invitations',
+  settingsHistoryCollection: process.env.SETTINGS_HISTORY_COLLECTION_NAME || 'settings_history',
+  planCollection: process.env.PLAN_COLLECTION_NAME || 'plans',
+  migrationCollection: process.env.MIGRATION_COLLECTION_NAME || 'migrations',
+  migrationLockCollection: process.env.MIGRATION_LOCK_COLLECTION_NAME || 'migration_locks',
+  webhookCollection: process.env.WEBHOOK_COLLECTION_NAME || 'webhooks',
+  webhookDeliveryCollection: process.env.WEBHOOK_DELIVERY_COLLECTION_NAME || 'webhook_deliveries',
+  ssoStateCollection: process.env.SSO_STATE_COLLECTION_NAME || 'sso_states',
 
-  // JWT Configuration
+  // JWT Configuration: HS256 signs with the shared secret; RS256 and ES256
+  // sign with the private key in JWT_PRIVATE_KEY_FILE (PEM)
   jwtSecret: process.env.JWT_SECRET_KEY || 'your-super-secret-key-change-this-in-production',
   jwtAlgorithm: process.env.JWT_ALGORITHM || 'HS256',
+  jwtPrivateKeyFile: process.env.JWT_PRIVATE_KEY_FILE || null,
+  // PEM files of rotated-out keys, still accepted (and published) for
+  // verification until the tokens they signed have expired
+  jwtRetiredKeyFiles: (process.env.JWT_RETIRED_KEY_FILES || '')
+    .split(',')
+    .map((file) => file.trim())
+    .filter(Boolean),
+  // Keep accepting HS256 tokens after switching to RS256 or ES256
+  jwtHs256Fallback: process.env.JWT_HS256_FALLBACK === 'true',
   jwtExpirationHours: parseInt(process.env.JWT_EXPIRATION_HOURS || '24'),
 
+  // Password Reset Configuration
+  passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60'),
+
+  // Email Verification Configuration
+  emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24'),
+
+  // Plan Configuration: the plan of new organizations and of those
+  // created before plans existed
+  defaultPlan: process.env.DEFAULT_PLAN || 'free',
+
+  // Invitation Configuration
+  invitationTtlHours: parseInt(process.env.INVITATION_TTL_HOURS || '72'),
+
+  // Number of proxies in front of the app (1 on Vercel), so req.ip and the
+  // IP-keyed rate limits see the client address
+  trustProxy: parseInt(process.env.TRUST_PROXY || '0'),
+
+  // Rate Limit Configuration: `key` counts requests per client IP ('ip'),
+  // per email or authenticated admin ('account'), or per organization ('org')
+  rateLimitStore: process.env.RATE_LIMIT_STORE || 'mongo',
+  rateLimits: {
+    createOrg: {
+      windowMinutes: parseInt(process.env.RATE_LIMIT_CREATE_ORG_WINDOW_MINUTES || '15'),
+      max: parseInt(process.env.RATE_LIMIT_CREATE_ORG_MAX || '5'),
+      key: process.env.RATE_LIMIT_CREATE_ORG_KEY || 'ip',
+    },
+    login: {
+      windowMinutes: parseInt(process.env.RATE_LIMIT_LOGIN_WINDOW_MINUTES || '15'),
+      max: parseInt(process.env.RATE_LIMIT_LOGIN_MAX || '5'),
+      key: process.env.RATE_LIMIT_LOGIN_KEY || 'ip',
+    },
+    userLogin: {
+      windowMinutes: parseInt(process.env.RATE_LIMIT_USER_LOGIN_WINDOW_MINUTES || '15'),
+      max: parseInt(process.env.RATE_LIMIT_USER_LOGIN_MAX || '5'),
+      key: process.env.RATE_LIMIT_USER_LOGIN_KEY || 'ip',
+    },
+    mfa: {
+      windowMinutes: parseInt(process.env.RATE_LIMIT_MFA_WINDOW_MINUTES || '15'),
+      max: parseInt(process.env.RATE_LIMIT_MFA_MAX || '5'),
+      key: process.env.RATE_LIMIT_MFA_KEY || 'ip',
+    },
+    passwordReset: {
+      windowMinutes: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_WINDOW_MINUTES || '15'),
+      max: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_MAX || '5'),
+      key: process.env.RATE_LIMIT_PASSWORD_RESET_KEY || 'ip',
+    },
+    verification: {
+      windowMinutes: parseInt(process.env.RATE_LIMIT_VERIFICATION_WINDOW_MINUTES || '60'),
+      max: parseInt(process.env.RATE_LIMIT_VERIFICATION_MAX || '3'),
+      key: process.env.RATE_LIMIT_VERIFICATION_KEY || 'account',
+    },
+    invitation: {
+      windowMinutes: parseInt(process.env.RATE_LIMIT_INVITATION_WINDOW_MINUTES || '15'),
+      max: parseInt(process.env.RATE_LIMIT_INVITATION_MAX || '10'),
+      key: process.env.RATE_LIMIT_INVITATION_KEY || 'ip',
+    },
+    sso: {
+      windowMinutes: parseInt(process.env.RATE_LIMIT_SSO_WINDOW_MINUTES || '15'),
+      max: parseInt(process.env.RATE_LIMIT_SSO_MAX || '20'),
+      key: process.env.RATE_LIMIT_SSO_KEY || 'ip',
+    },
+  },
+
+  // Account Lockout Configuration
+  loginMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5'),
+  loginLockoutBaseMinutes: parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '1'),
+  loginLockoutMaxMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '60'),
+  loginAttemptRetentionHours: parseInt(process.env.LOGIN_ATTEMPT_RETENTION_HOURS || '24'),
+
+  // MFA Configuration
+  mfaIssuer: process.env.MFA_ISSUER || 'Org Management API',
+  mfaTokenTtlMinutes: parseInt(process.env.MFA_TOKEN_TTL_MINUTES || '5'),
+  mfaRecoveryCodeCount: parseInt(process.env.MFA_RECOVERY_CODE_COUNT || '10'),
+
+  // Mail Configuration
+  // Required outside tests: a deployment without it would drop every mail
+  mailTransport: process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : ''),
+  mailFrom: process.env.MAIL_FROM || 'no-reply@localhost',
+  mailFileDir: process.env.MAIL_FILE_DIR || 'tmp/mail',
+  smtpHost: process.env.SMTP_HOST || 'localhost',
+  smtpPort: parseInt(process.env.SMTP_PORT || '587'),
+  smtpSecure: process.env.SMTP_SECURE === 'true',
+  smtpUser: process.env.SMTP_USER || '',
+  smtpPassword: process.env.SMTP_PASSWORD || '',
+
+  // Provisioning Configuration
+  provisioningTimeoutMinutes: parseInt(process.env.PROVISIONING_TIMEOUT_MINUTES || '10'),
+
+  // Retention Configuration
+  orgRetentionDays: parseInt(process.env.ORG_RETENTION_DAYS || '30'),
+
+  // Migration Configuration
+  // Off by default: every cold start would walk every tenant database
+  // before answering its first request
+  migrateTenantsOnStartup: process.env.MIGRATE_TENANTS_ON_STARTUP === 'true',
+  migrationLockWaitSeconds: parseInt(process.env.MIGRATION_LOCK_WAIT_SECONDS || '60'),
+
+  // Export/Import Configuration
+  transferMaxBytes: parseInt(process.env.TRANSFER_MAX_MB || '512') * 1024 * 1024,
+
+  // Webhook Configuration: a failed delivery is retried after the base
+  // delay, doubling each time, until the attempts run out
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+  webhookRetryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '30'),
+  webhookTimeoutSeconds: parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS || '10'),
+  webhookDeliveryRetentionDays: parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '30'),
+  webhookPollSeconds: parseInt(process.env.WEBHOOK_POLL_SECONDS || '30'),
+  // Lets org webhooks use plain http and private addresses; for local
+  // development and tests only
+  webhookAllowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+
+  // Single Sign-On Configuration: the callback URL registered with every
+  // org's identity provider
+  ssoRedirectUri: process.env.SSO_REDIRECT_URI || 'http://localhost:8000/auth/sso/callback',
+  ssoStateTtlMinutes: parseInt(process.env.SSO_STATE_TTL_MINUTES || '10'),
+  ssoTimeoutSeconds: parseInt(process.env.SSO_TIMEOUT_SECONDS || '10'),
+  // Lets issuers on this machine use plain http, e.g. the mock issuer; for
+  // local development and tests only
+  ssoAllowLocalIssuers: process.env.SSO_ALLOW_LOCAL_ISSUERS === 'true',
+
   // Application Settings
   port: parseInt(process.env.PORT || '8000'),
+  appBaseUrl: process.env.APP_BASE_URL || 'http://localhost:3000',
   debug: process.env.DEBUG === 'true' || process.env.DEBUG === 'True',
 };
 
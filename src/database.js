@@ -1,10 +1,12 @@
 import { MongoClient, ObjectId } from 'mongodb';
 import config from './config.js';
+import { NotFoundError } from './errors.js';
 
 class DatabaseManager {
   static instance = null;
   client = null;
   masterDb = null;
+  transactionsSupported = null;
 
   static getInstance() {
     if (!DatabaseManager.instance) {
@@ -38,6 +40,7 @@ class DatabaseManager {
       await this.client.close();
       this.client = null;
       this.masterDb = null;
+      this.transactionsSupported = null;
       console.log('Disconnected from MongoDB');
     }
   }
@@ -50,29 +53,74 @@ class DatabaseManager {
     return this.client;
   }
 
-  async getOrgDb(orgName) {
-    const dbName = `org_${orgName.toLowerCase().replace(/\s+/g, '_')}`;
-    return this.client.db(dbName);
+  // Only used to pick the database name when an organization is created.
+  // Afterwards the name stored on the org record is authoritative, so
+  // renaming an organization never moves or orphans its data.
+  deriveOrgDbName(orgName) {
+    return `org_${orgName.toLowerCase().replace(/\s+/g, '_')}`;
   }
 
-  async createOrgDatabase(orgName) {
-    const dbName = `org_${orgName.toLowerCase().replace(/\s+/g, '_')}`;
+  // The tenant context that tenant-scoped services work with: the org's
+  // identity plus a handle on its database alone. It is built from the org
+  // record, so the database is always the one the record points at rather
+  // than one derived from whatever name a caller passed in.
+  tenantFor(org) {
+    // Records created before db_name was stored fall back to the derived name
+    const dbName = org.db_name || this.deriveOrgDbName(org.organization_name);
     const orgDb = this.client.db(dbName);
 
-    // Create a users collection with index
-    const usersCollection = orgDb.collection('users');
-    await usersCollection.createIndex({ email: 1 }, { unique: true });
+    return Object.freeze({
+      id: org._id.toString(),
+      name: org.organization_name,
+      dbName,
+      plan: org.plan || config.defaultPlan,
+      pendingDeletion: Boolean(org.deleted_at),
+      // Only collections and commands of this database; the client, and
+      // with it every other database, stays out of reach
+      db: Object.freeze({
+        databaseName: dbName,
+        collection: (name) => orgDb.collection(name),
+        command: (command) => orgDb.command(command),
+      }),
+    });
+  }
+
+  async getTenant(query) {
+    const org = await this.masterDb.collection(config.masterCollection).findOne(query);
+    if (!org) {
+      throw new NotFoundError('Organization not found');
+    }
+    return this.tenantFor(org);
+  }
+
+  // Tokens carry the org id: ids survive renames where names do not
+  async getTenantById(orgId) {
+    if (!orgId || !ObjectId.isValid(orgId)) {
+      throw new NotFoundError('Organization not found');
+    }
+    return this.getTenant({ _id: new ObjectId(orgId) });
+  }
 
-    return { dbName, orgDb };
+  async getTenantByName(orgName) {
+    return this.getTenant({ organization_name: orgName });
   }
 
-  async deleteOrgDatabase(orgName) {
-    const dbName = `org_${orgName.toLowerCase().replace(/\s+/g, '_')}`;
+  async deleteOrgDatabase(dbName) {
     const orgDb = this.client.db(dbName);
     await orgDb.dropDatabase();
     return dbName;
   }
 
+  // Transactions need a replica set or a sharded cluster; standalone
+  // servers (the default local setup) reject them.
+  async supportsTransactions() {
+    if (this.transactionsSupported === null) {
+      const hello = await this.masterDb.admin().command({ hello: 1 });
+      this.transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    }
+    return this.transactionsSupported;
+  }
+
   async createIndex(collection, indexSpec, options = {}) {
     await collection.createIndex(indexSpec, options);
   }
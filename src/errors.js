@@ -0,0 +1,91 @@
+// Errors the API is willing to show its clients. Each class fixes the HTTP
+// status and a default code; a throw site may pass a more specific code
+// (e.g. EMAIL_NOT_VERIFIED) that clients can branch on instead of the
+// message, which is for people and may be reworded. `details` is returned
+// as is, so it must not hold anything internal. Any other error reaching
+// the handler in server.js is logged and answered with a bare 500.
+class AppError extends Error {
+  static status = 500;
+  static code = 'INTERNAL_ERROR';
+
+  constructor(message, { code, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = this.constructor.status;
+    this.code = code || this.constructor.code;
+    this.details = details;
+  }
+}
+
+// Malformed or semantically invalid input, including unknown or expired
+// one-time tokens sent in a body
+class ValidationError extends AppError {
+  static status = 400;
+  static code = 'VALIDATION_ERROR';
+}
+
+// Missing, wrong or expired credentials
+class AuthError extends AppError {
+  static status = 401;
+  static code = 'UNAUTHORIZED';
+}
+
+// The caller is known but may not do this, or not in the resource's state
+class ForbiddenError extends AppError {
+  static status = 403;
+  static code = 'FORBIDDEN';
+}
+
+class NotFoundError extends AppError {
+  static status = 404;
+  static code = 'NOT_FOUND';
+}
+
+// Clashes with existing data or the resource's current state
+class ConflictError extends AppError {
+  static status = 409;
+  static code = 'CONFLICT';
+}
+
+// The resource existed but can no longer be brought back
+class GoneError extends AppError {
+  static status = 410;
+  static code = 'GONE';
+}
+
+// A conditional request (If-Match) saw a different version
+class PreconditionFailedError extends AppError {
+  static status = 412;
+  static code = 'PRECONDITION_FAILED';
+}
+
+class PayloadTooLargeError extends AppError {
+  static status = 413;
+  static code = 'PAYLOAD_TOO_LARGE';
+}
+
+class RateLimitError extends AppError {
+  static status = 429;
+  static code = 'RATE_LIMITED';
+}
+
+// A service we depend on, such as an identity provider, failed or could
+// not be reached
+class UpstreamError extends AppError {
+  static status = 502;
+  static code = 'UPSTREAM_ERROR';
+}
+
+export {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  RateLimitError,
+  UpstreamError,
+};
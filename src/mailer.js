@@ -0,0 +1,106 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import config from './config.js';
+import logger from './logger.js';
+
+// The memory transport keeps only this many of the latest messages
+const MAX_MEMORY_MESSAGES = 1000;
+
+// Keeps messages in memory; the default for tests. Nothing is delivered.
+class MemoryTransport {
+  messages = [];
+
+  async send(message) {
+    this.messages.push({ ...message, sent_at: new Date() });
+    if (this.messages.length > MAX_MEMORY_MESSAGES) {
+      this.messages.shift();
+    }
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+// Writes each message as a JSON file, handy for inspecting links locally
+class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(this.directory, fileName),
+      JSON.stringify({ ...message, sent_at: new Date() }, null, 2)
+    );
+  }
+}
+
+class SmtpTransport {
+  constructor(options) {
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+function createTransport() {
+  switch (config.mailTransport) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: config.smtpHost,
+        port: config.smtpPort,
+        secure: config.smtpSecure,
+        auth: config.smtpUser ? { user: config.smtpUser, pass: config.smtpPassword } : undefined,
+      });
+    case 'file':
+      return new FileTransport(config.mailFileDir);
+    case 'memory':
+      if (process.env.NODE_ENV !== 'test') {
+        logger.warn('MAIL_TRANSPORT is memory: mails are kept in memory and never delivered');
+      }
+      return new MemoryTransport();
+    case '':
+      throw new Error('MAIL_TRANSPORT is required (smtp, file or memory)');
+    default:
+      throw new Error(`Unknown mail transport: ${config.mailTransport}`);
+  }
+}
+
+class Mailer {
+  static instance = null;
+  transport = null;
+
+  static getInstance() {
+    if (!Mailer.instance) {
+      Mailer.instance = new Mailer();
+    }
+    return Mailer.instance;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  // Lets tests swap in their own transport
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    const message = { from: config.mailFrom, to, subject, text, html };
+    await this.getTransport().send(message);
+    logger.info('Mail sent', { to, subject });
+  }
+}
+
+export { Mailer, MemoryTransport, FileTransport, SmtpTransport };
@@ -0,0 +1,163 @@
+import config from './config.js';
+import { DEFAULT_PLANS } from './plans.js';
+
+// Schema changes, applied in version order by src/migrator.js. Master
+// migrations run against the master database, tenant migrations against
+// every organization database. Versions are never reused or reordered once
+// released; a change to an existing index is a new migration.
+//
+// Each migration gets the database it applies to. `down` undoes `up` as far
+// as possible and must not fail when `up` only partially ran.
+
+// MongoDB's default index name, e.g. { organization_id: 1, created_at: -1 }
+// becomes organization_id_1_created_at_-1
+function indexName(key) {
+  return Object.entries(key)
+    .map(([field, direction]) => `${field}_${direction}`)
+    .join('_');
+}
+
+async function createIndexes(db, indexes) {
+  for (const [collection, key, options = {}] of indexes) {
+    await db.collection(collection).createIndex(key, options);
+  }
+}
+
+async function dropIndexes(db, indexes) {
+  for (const [collection, key] of indexes) {
+    try {
+      await db.collection(collection).dropIndex(indexName(key));
+    } catch (error) {
+      // IndexNotFound and NamespaceNotFound: nothing left to undo
+      if (error.code !== 27 && error.code !== 26) {
+        throw error;
+      }
+    }
+  }
+}
+
+const MASTER_INDEXES = [
+  [config.masterCollection, { organization_name: 1 }, { unique: true }],
+  [config.adminCollection, { admin_email: 1 }, { unique: true }],
+  [config.sessionCollection, { admin_id: 1 }],
+  [config.sessionCollection, { expires_at: 1 }, { expireAfterSeconds: 0 }],
+  [config.auditCollection, { seq: 1 }, { unique: true }],
+  [config.auditCollection, { org_id: 1, seq: -1 }],
+  [config.passwordResetCollection, { token_hash: 1 }, { unique: true }],
+  [config.passwordResetCollection, { expires_at: 1 }, { expireAfterSeconds: 0 }],
+  [config.loginAttemptCollection, { email: 1 }, { unique: true }],
+  [config.loginAttemptCollection, { expires_at: 1 }, { expireAfterSeconds: 0 }],
+  [config.rateLimitCollection, { expires_at: 1 }, { expireAfterSeconds: 0 }],
+  [config.apiKeyCollection, { key_hash: 1 }, { unique: true }],
+  [config.apiKeyCollection, { organization_id: 1, created_at: -1 }],
+  [config.invitationCollection, { token_hash: 1 }, { unique: true }],
+  [config.invitationCollection, { organization_id: 1, created_at: -1 }],
+  [
+    config.invitationCollection,
+    { organization_id: 1, email: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } },
+  ],
+  [config.settingsHistoryCollection, { organization_id: 1, version: -1 }, { unique: true }],
+  [config.planCollection, { name: 1 }, { unique: true }],
+];
+
+const WEBHOOK_INDEXES = [
+  [config.webhookCollection, { organization_id: 1, created_at: -1 }],
+  [config.webhookDeliveryCollection, { status: 1, next_attempt_at: 1 }],
+  [config.webhookDeliveryCollection, { webhook_id: 1, _id: -1 }],
+  [config.webhookDeliveryCollection, { organization_id: 1 }],
+  [config.webhookDeliveryCollection, { expires_at: 1 }, { expireAfterSeconds: 0 }],
+];
+
+const SSO_INDEXES = [
+  [config.ssoStateCollection, { state_hash: 1 }, { unique: true }],
+  [config.ssoStateCollection, { expires_at: 1 }, { expireAfterSeconds: 0 }],
+  [
+    config.adminCollection,
+    { 'sso.issuer': 1, 'sso.subject': 1 },
+    { unique: true, partialFilterExpression: { 'sso.subject': { $exists: true } } },
+  ],
+];
+
+const TENANT_INDEXES = [
+  ['users', { email: 1 }, { unique: true }],
+  // Custom roles defined by the org's admins
+  ['roles', { name: 1 }, { unique: true }],
+];
+
+const MASTER_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial-indexes',
+    up: (db) => createIndexes(db, MASTER_INDEXES),
+    down: (db) => dropIndexes(db, MASTER_INDEXES),
+  },
+  {
+    version: 2,
+    name: 'default-plans',
+    // Only adds missing tiers, so plans edited in the database keep their limits
+    up: async (db) => {
+      for (const [name, plan] of Object.entries(DEFAULT_PLANS)) {
+        await db
+          .collection(config.planCollection)
+          .updateOne(
+            { name },
+            { $setOnInsert: { name, ...plan, created_at: new Date() } },
+            { upsert: true }
+          );
+      }
+    },
+    // Organizations keep referring to their plan, so the tiers stay
+    down: async () => {},
+  },
+  {
+    version: 3,
+    name: 'webhooks',
+    up: (db) => createIndexes(db, WEBHOOK_INDEXES),
+    down: (db) => dropIndexes(db, WEBHOOK_INDEXES),
+  },
+  {
+    version: 4,
+    name: 'sso',
+    up: (db) => createIndexes(db, SSO_INDEXES),
+    down: (db) => dropIndexes(db, SSO_INDEXES),
+  },
+  {
+    version: 5,
+    name: 'org-owner-email',
+    // The owner is found by the org's admin_email, which credential updates
+    // used to leave behind. Only orgs with a single password admin are
+    // unambiguous; that admin is their owner.
+    up: async (db) => {
+      const orgs = db
+        .collection(config.masterCollection)
+        .find({}, { projection: { admin_email: 1 } });
+      for await (const org of orgs) {
+        const owners = await db
+          .collection(config.adminCollection)
+          .find({ organization_id: org._id.toString(), sso: { $exists: false } })
+          .project({ admin_email: 1 })
+          .limit(2)
+          .toArray();
+        if (owners.length === 1 && owners[0].admin_email !== org.admin_email) {
+          await db
+            .collection(config.masterCollection)
+            .updateOne({ _id: org._id }, { $set: { admin_email: owners[0].admin_email } });
+        }
+      }
+    },
+    // The corrected addresses are still right without the migration
+    down: async () => {},
+  },
+];
+
+const TENANT_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial-indexes',
+    up: (db) => createIndexes(db, TENANT_INDEXES),
+    down: (db) => dropIndexes(db, TENANT_INDEXES),
+  },
+];
+
+export { MASTER_MIGRATIONS, TENANT_MIGRATIONS };
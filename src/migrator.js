@@ -0,0 +1,307 @@
+import os from 'os';
+import crypto from 'crypto';
+import DatabaseManager from './database.js';
+import config from './config.js';
+import logger from './logger.js';
+import { ConflictError } from './errors.js';
+import { MASTER_MIGRATIONS, TENANT_MIGRATIONS } from './migrations.js';
+
+const MIGRATIONS = { master: MASTER_MIGRATIONS, tenant: TENANT_MIGRATIONS };
+
+// A crashed holder blocks others for at most this long; live holders renew
+// the lock after every migration
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const LOCK_POLL_MS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Applies the migrations of src/migrations.js. Every database records what
+// it has applied in its own `migrations` collection, one document per
+// version, so a tenant database carries its schema version wherever it goes
+// (exports included). Runs against the same database are serialized through
+// a lock document per database in the master `migration_locks` collection.
+class Migrator {
+  static getMigrations(scope) {
+    const migrations = MIGRATIONS[scope];
+    if (!migrations) {
+      throw new Error(`Unknown migration scope: ${scope}`);
+    }
+    return migrations;
+  }
+
+  static async getApplied(db) {
+    return db.collection(config.migrationCollection).find({}).sort({ _id: 1 }).toArray();
+  }
+
+  // Versions recorded by a newer release than this one are reported as
+  // unknown and otherwise left alone
+  static async status(db, scope) {
+    const migrations = Migrator.getMigrations(scope);
+    const applied = await Migrator.getApplied(db);
+    const appliedVersions = new Set(applied.map((record) => record._id));
+    const knownVersions = new Set(migrations.map((migration) => migration.version));
+
+    return {
+      database: db.databaseName,
+      scope,
+      current: applied.length ? applied[applied.length - 1]._id : 0,
+      latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+      applied: applied.map((record) => ({
+        version: record._id,
+        name: record.name,
+        applied_at: record.applied_at.toISOString(),
+      })),
+      pending: migrations
+        .filter((migration) => !appliedVersions.has(migration.version))
+        .map(({ version, name }) => ({ version, name })),
+      unknown: applied
+        .filter((record) => !knownVersions.has(record._id))
+        .map((record) => record._id),
+    };
+  }
+
+  // Applies every pending migration up to `target` in version order. The
+  // caller holds the lock, or owns the database outright (provisioning).
+  static async up(db, scope, { target = Infinity, renew } = {}) {
+    const migrations = Migrator.getMigrations(scope);
+    const migrationsCollection = db.collection(config.migrationCollection);
+    const applied = new Set((await Migrator.getApplied(db)).map((record) => record._id));
+    const ran = [];
+
+    for (const migration of migrations) {
+      if (migration.version > target || applied.has(migration.version)) {
+        continue;
+      }
+
+      const started = Date.now();
+      try {
+        await migration.up(db);
+      } catch (error) {
+        throw new Error(
+          `Migration ${migration.version} (${migration.name}) failed on ${db.databaseName}: ${error.message}`
+        );
+      }
+
+      await migrationsCollection.insertOne({
+        _id: migration.version,
+        name: migration.name,
+        applied_at: new Date(),
+        duration_ms: Date.now() - started,
+      });
+      logger.info('Migration applied', {
+        database: db.databaseName,
+        version: migration.version,
+        name: migration.name,
+      });
+      ran.push({ version: migration.version, name: migration.name });
+
+      await renew?.();
+    }
+
+    return ran;
+  }
+
+  // Reverts applied migrations above `target`, newest first
+  static async down(db, scope, { target, renew } = {}) {
+    const migrations = Migrator.getMigrations(scope);
+    const migrationsCollection = db.collection(config.migrationCollection);
+    const applied = (await Migrator.getApplied(db)).filter((record) => record._id > target);
+    const reverted = [];
+
+    for (const record of applied.reverse()) {
+      const migration = migrations.find((candidate) => candidate.version === record._id);
+      if (!migration) {
+        throw new Error(`Cannot revert unknown migration ${record._id} on ${db.databaseName}`);
+      }
+
+      try {
+        await migration.down(db);
+      } catch (error) {
+        throw new Error(
+          `Reverting migration ${migration.version} (${migration.name}) failed on ${db.databaseName}: ${error.message}`
+        );
+      }
+
+      await migrationsCollection.deleteOne({ _id: migration.version });
+      logger.info('Migration reverted', {
+        database: db.databaseName,
+        version: migration.version,
+        name: migration.name,
+      });
+      reverted.push({ version: migration.version, name: migration.name });
+
+      await renew?.();
+    }
+
+    return reverted;
+  }
+
+  static getLockCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.migrationLockCollection);
+  }
+
+  // Takes the lock when it is free or its holder's lease has run out. A
+  // held lock makes the upsert collide with the existing document.
+  static async acquireLock(name) {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    const now = new Date();
+
+    try {
+      await Migrator.getLockCollection().updateOne(
+        { _id: name, expires_at: { $lte: now } },
+        {
+          $set: {
+            owner,
+            acquired_at: now,
+            expires_at: new Date(now.getTime() + LOCK_TTL_MS),
+          },
+        },
+        { upsert: true }
+      );
+      return owner;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  static async renewLock(name, owner) {
+    const result = await Migrator.getLockCollection().updateOne(
+      { _id: name, owner },
+      { $set: { expires_at: new Date(Date.now() + LOCK_TTL_MS) } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error(`Lost the migration lock on ${name}`);
+    }
+  }
+
+  static async releaseLock(name, owner) {
+    await Migrator.getLockCollection().deleteOne({ _id: name, owner });
+  }
+
+  // Runs `fn(renew)` holding the lock on `name`. With `wait`, a held lock is
+  // polled for up to MIGRATION_LOCK_WAIT_SECONDS; the other instance has
+  // usually done the work by then, which `fn` finds already applied.
+  static async withLock(name, fn, { wait = true } = {}) {
+    const deadline = Date.now() + config.migrationLockWaitSeconds * 1000;
+
+    let owner = await Migrator.acquireLock(name);
+    while (!owner) {
+      if (!wait || Date.now() >= deadline) {
+        throw new ConflictError(`Migrations on ${name} are already running elsewhere`, {
+          code: 'MIGRATION_LOCKED',
+        });
+      }
+      await sleep(LOCK_POLL_MS);
+      owner = await Migrator.acquireLock(name);
+    }
+
+    try {
+      return await fn(() => Migrator.renewLock(name, owner));
+    } finally {
+      await Migrator.releaseLock(name, owner);
+    }
+  }
+
+  // The master database, or a tenant database by name
+  static resolve(dbName) {
+    const dbManager = DatabaseManager.getInstance();
+    if (!dbName || dbName === config.masterDbName) {
+      return { db: dbManager.getDb(), scope: 'master' };
+    }
+    return { db: dbManager.getClient().db(dbName), scope: 'tenant' };
+  }
+
+  static async migrate(dbName, { target, wait = true } = {}) {
+    const { db, scope } = Migrator.resolve(dbName);
+    return Migrator.withLock(
+      db.databaseName,
+      (renew) => Migrator.up(db, scope, { target, renew }),
+      { wait }
+    );
+  }
+
+  // Without a target, reverts the latest applied migration only
+  static async rollback(dbName, { target } = {}) {
+    const { db, scope } = Migrator.resolve(dbName);
+    return Migrator.withLock(db.databaseName, async (renew) => {
+      const { current } = await Migrator.status(db, scope);
+      return Migrator.down(db, scope, { target: target ?? current - 1, renew });
+    });
+  }
+
+  // Databases of provisioned organizations, soft-deleted ones included.
+  // Organizations still being provisioned migrate their own database.
+  static async listTenantDatabases() {
+    const dbManager = DatabaseManager.getInstance();
+    const orgs = await dbManager
+      .getDb()
+      .collection(config.masterCollection)
+      .find(
+        { provisioning_status: { $nin: ['pending', 'failed'] } },
+        { projection: { organization_name: 1, db_name: 1 } }
+      )
+      .sort({ _id: 1 })
+      .toArray();
+
+    return orgs.map((org) => org.db_name || dbManager.deriveOrgDbName(org.organization_name));
+  }
+
+  // Brings every tenant database up to date. A database another instance
+  // is migrating is skipped rather than waited for, and a failing one does
+  // not stop the others.
+  static async migrateTenants({ target } = {}) {
+    const result = { migrated: [], skipped: [], failed: [] };
+
+    for (const dbName of await Migrator.listTenantDatabases()) {
+      try {
+        const applied = await Migrator.migrate(dbName, { target, wait: false });
+        if (applied.length) {
+          result.migrated.push({ database: dbName, applied });
+        }
+      } catch (error) {
+        if (error.code === 'MIGRATION_LOCKED') {
+          result.skipped.push(dbName);
+        } else {
+          logger.error('Tenant migration failed', { database: dbName, message: error.message });
+          result.failed.push({ database: dbName, error: error.message });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  static async statusAll() {
+    const master = await Migrator.status(DatabaseManager.getInstance().getDb(), 'master');
+    const tenants = [];
+    for (const dbName of await Migrator.listTenantDatabases()) {
+      tenants.push(await Migrator.status(Migrator.resolve(dbName).db, 'tenant'));
+    }
+    return { master, tenants };
+  }
+
+  // Called once per process before serving requests. A failing master
+  // migration stops startup. Tenants are left to `npm run migrate` unless
+  // MIGRATE_TENANTS_ON_STARTUP is set; their failures are logged and
+  // retried on the next start.
+  static async migrateOnStartup() {
+    await Migrator.migrate(null);
+
+    if (config.migrateTenantsOnStartup) {
+      const result = await Migrator.migrateTenants();
+      if (result.migrated.length || result.failed.length) {
+        logger.info('Tenant migrations run', {
+          migrated: result.migrated.length,
+          skipped: result.skipped.length,
+          failed: result.failed.length,
+        });
+      }
+    }
+  }
+}
+
+export { Migrator };
@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+
+// Authorization codes are good for this long, like at most real providers
+const CODE_TTL_MS = 60 * 1000;
+
+// A minimal OpenID Connect provider for tests and local development. It
+// supports discovery, a JWKS, the authorization-code flow with S256 PKCE
+// and client_secret_basic or client_secret_post. There is no login page:
+// /authorize signs in whoever `login_hint` names (or `defaultEmail`) and
+// redirects straight back. `users` can override the claims of an email,
+// e.g. { 'a@example.com': { email_verified: false } }.
+class MockOidcIssuer {
+  constructor({
+    clientId = 'mock-client',
+    clientSecret = 'mock-secret',
+    defaultEmail = 'admin@example.com',
+    users = {},
+  } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.defaultEmail = defaultEmail;
+    this.users = users;
+    this.codes = new Map();
+    this.kid = crypto.randomBytes(8).toString('hex');
+    this.keyPair = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.issuer = null;
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve) => this.server.listen(port, host, resolve));
+    this.issuer = `http://${host}:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  fail(res, status, error, description) {
+    this.send(res, status, { error, error_description: description });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.issuer);
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+        return this.send(res, 200, this.metadata());
+      }
+      if (req.method === 'GET' && url.pathname === '/jwks') {
+        const jwk = this.keyPair.publicKey.export({ format: 'jwk' });
+        return this.send(res, 200, { keys: [{ ...jwk, kid: this.kid, alg: 'RS256', use: 'sig' }] });
+      }
+      if (req.method === 'GET' && url.pathname === '/authorize') {
+        return this.authorize(url.searchParams, res);
+      }
+      if (req.method === 'POST' && url.pathname === '/token') {
+        let body = '';
+        for await (const chunk of req) {
+          body += chunk;
+        }
+        return this.token(new URLSearchParams(body), req.headers.authorization, res);
+      }
+      this.fail(res, 404, 'not_found', `No route for ${req.method} ${url.pathname}`);
+    } catch (error) {
+      this.fail(res, 500, 'server_error', error.message);
+    }
+  }
+
+  metadata() {
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/authorize`,
+      token_endpoint: `${this.issuer}/token`,
+      jwks_uri: `${this.issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      scopes_supported: ['openid', 'email', 'profile'],
+    };
+  }
+
+  authorize(params, res) {
+    const redirectUri = params.get('redirect_uri');
+    if (params.get('client_id') !== this.clientId || !redirectUri) {
+      return this.fail(res, 400, 'invalid_request', 'Unknown client or missing redirect_uri');
+    }
+
+    const back = new URL(redirectUri);
+    if (params.get('state')) {
+      back.searchParams.set('state', params.get('state'));
+    }
+
+    if (
+      params.get('response_type') !== 'code' ||
+      params.get('code_challenge_method') !== 'S256' ||
+      !params.get('code_challenge') ||
+      !(params.get('scope') || '').split(' ').includes('openid')
+    ) {
+      back.searchParams.set('error', 'invalid_request');
+      back.searchParams.set('error_description', 'Expected an openid code request with S256 PKCE');
+    } else {
+      const code = crypto.randomBytes(16).toString('hex');
+      this.codes.set(code, {
+        redirectUri,
+        codeChallenge: params.get('code_challenge'),
+        nonce: params.get('nonce'),
+        email: params.get('login_hint') || this.defaultEmail,
+        expiresAt: Date.now() + CODE_TTL_MS,
+      });
+      back.searchParams.set('code', code);
+    }
+
+    res.writeHead(302, { Location: back.toString() });
+    res.end();
+  }
+
+  authenticateClient(params, authorization) {
+    let clientId = params.get('client_id');
+    let clientSecret = params.get('client_secret');
+
+    if (authorization?.startsWith('Basic ')) {
+      const [id, secret] = Buffer.from(authorization.slice(6), 'base64').toString().split(':');
+      clientId = decodeURIComponent(id);
+      clientSecret = decodeURIComponent(secret || '');
+    }
+
+    return clientId === this.clientId && clientSecret === this.clientSecret;
+  }
+
+  token(params, authorization, res) {
+    if (!this.authenticateClient(params, authorization)) {
+      return this.fail(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+    if (params.get('grant_type') !== 'authorization_code') {
+      return this.fail(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    // Codes are single use, even when the exchange fails
+    const grant = this.codes.get(params.get('code'));
+    this.codes.delete(params.get('code'));
+
+    if (!grant || grant.expiresAt < Date.now()) {
+      return this.fail(res, 400, 'invalid_grant', 'Unknown or expired code');
+    }
+    if (grant.redirectUri !== params.get('redirect_uri')) {
+      return this.fail(res, 400, 'invalid_grant', 'redirect_uri does not match');
+    }
+    const challenge = crypto
+      .createHash('sha256')
+      .update(params.get('code_verifier') || '')
+      .digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return this.fail(res, 400, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const claims = {
+      sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+      email: grant.email,
+      email_verified: true,
+      name: grant.email.split('@')[0],
+      ...(grant.nonce ? { nonce: grant.nonce } : {}),
+      ...this.users[grant.email],
+    };
+    const idToken = jwt.sign(claims, this.keyPair.privateKey, {
+      algorithm: 'RS256',
+      keyid: this.kid,
+      issuer: this.issuer,
+      audience: this.clientId,
+      expiresIn: '5m',
+    });
+
+    this.send(
+      res,
+      200,
+      {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        expires_in: 300,
+        id_token: idToken,
+      },
+      { 'Cache-Control': 'no-store' }
+    );
+  }
+}
+
+export { MockOidcIssuer };
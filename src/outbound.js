@@ -0,0 +1,137 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Response bodies are read up to this size; nothing we call sends more
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+// Ranges a URL chosen by a tenant must not reach: this host, the
+// deployment's private network, link-local addresses (cloud metadata
+// services answer on 169.254.169.254) and addresses that are not unicast.
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const blockList = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  blockList.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  blockList.addSubnet(network, prefix, 'ipv6');
+}
+
+function isPrivateAddress(address) {
+  return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function privateAddressError(hostname) {
+  const error = new Error(`${hostname} resolves to a private address`);
+  error.code = 'ERR_PRIVATE_ADDRESS';
+  return error;
+}
+
+// dns.lookup for outgoing sockets that refuses private addresses. It runs
+// when the connection is made, so a name cannot resolve to a public
+// address for a check and to a private one for the request itself.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((entry) => isPrivateAddress(entry.address))) {
+      return callback(privateAddressError(hostname));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+// Sends one request to a URL a tenant configured and resolves to
+// { status, body }, with body null when `readBody` is off and the
+// response is dropped as soon as its status is known. Redirects are not
+// followed. Unless `allowPrivate` is set, targets in the ranges above are
+// refused with ERR_PRIVATE_ADDRESS, whether the URL names an address or
+// a host.
+function request(
+  url,
+  {
+    method = 'GET',
+    headers = {},
+    body,
+    timeoutMs = 10 * 1000,
+    readBody = true,
+    allowPrivate = false,
+  } = {}
+) {
+  const target = new URL(url);
+  const transport = { 'https:': https, 'http:': http }[target.protocol];
+  if (!transport) {
+    return Promise.reject(new Error(`Unsupported protocol ${target.protocol}`));
+  }
+
+  // Addresses in the URL are connected to without a lookup
+  const hostname = target.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (!allowPrivate && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    return Promise.reject(privateAddressError(hostname));
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      {
+        method,
+        headers:
+          body === undefined ? headers : { 'Content-Length': Buffer.byteLength(body), ...headers },
+        lookup: allowPrivate ? undefined : publicLookup,
+      },
+      (res) => {
+        if (!readBody) {
+          res.destroy();
+          return resolve({ status: res.statusCode, body: null });
+        }
+
+        const chunks = [];
+        let size = 0;
+        res.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > MAX_RESPONSE_BYTES) {
+            req.destroy(new Error('Response body is too large'));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('end', () => {
+          resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') });
+        });
+        res.on('close', () => {
+          if (!res.complete) {
+            reject(new Error('Response was cut off'));
+          }
+        });
+      }
+    );
+
+    const timer = setTimeout(() => req.destroy(new Error('Request timed out')), timeoutMs);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+export { request, isPrivateAddress };
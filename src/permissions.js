@@ -0,0 +1,31 @@
+// Every permission a role can grant inside an organization
+const PERMISSIONS = [
+  'org:update',
+  'org:delete',
+  'org:rename',
+  'org:security',
+  'org:export',
+  'users:read',
+  'users:write',
+  'roles:manage',
+  'api_keys:manage',
+  'webhooks:manage',
+  'audit:read',
+];
+
+// Built-in roles. `admin` is the platform super admin, who additionally
+// may act on any organization; the others can be assigned to tenant users.
+// Custom roles live in each tenant database and cannot reuse these names.
+const BUILT_IN_ROLES = {
+  admin: PERMISSIONS,
+  org_admin: PERMISSIONS,
+  member: [],
+};
+
+const TENANT_ROLES = ['org_admin', 'member'];
+
+function isBuiltInRole(name) {
+  return Object.hasOwn(BUILT_IN_ROLES, name);
+}
+
+export { PERMISSIONS, BUILT_IN_ROLES, TENANT_ROLES, isBuiltInRole };
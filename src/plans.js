@@ -0,0 +1,39 @@
+// Limits a plan can set. null means unlimited.
+const PLAN_LIMITS = ['max_users', 'max_api_keys', 'max_storage_bytes', 'requests_per_minute'];
+
+const MB = 1024 * 1024;
+
+// Tiers written to the plans collection when it has none of these names.
+// Changing a tier afterwards is done in the database, so existing
+// deployments keep their edits.
+const DEFAULT_PLANS = {
+  free: {
+    description: 'For trying things out',
+    limits: {
+      max_users: 5,
+      max_api_keys: 2,
+      max_storage_bytes: 100 * MB,
+      requests_per_minute: 120,
+    },
+  },
+  pro: {
+    description: 'For growing teams',
+    limits: {
+      max_users: 100,
+      max_api_keys: 20,
+      max_storage_bytes: 10 * 1024 * MB,
+      requests_per_minute: 1200,
+    },
+  },
+  enterprise: {
+    description: 'No limits',
+    limits: {
+      max_users: null,
+      max_api_keys: null,
+      max_storage_bytes: null,
+      requests_per_minute: null,
+    },
+  },
+};
+
+export { PLAN_LIMITS, DEFAULT_PLANS };
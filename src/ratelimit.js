@@ -0,0 +1,142 @@
+import rateLimit from 'express-rate-limit';
+import DatabaseManager from './database.js';
+import config from './config.js';
+import logger from './logger.js';
+import { RateLimitError } from './errors.js';
+
+// Fixed-window counters in a master DB collection, so every instance of a
+// serverless deployment enforces the same limits. Each window is one
+// document; the TTL index on expires_at removes it once it is over.
+class MongoStore {
+  localKeys = false;
+
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    if (!db) {
+      throw new Error('Database not connected');
+    }
+    return db.collection(config.rateLimitCollection);
+  }
+
+  async get(key) {
+    const record = await this.getCollection().findOne({
+      _id: this.prefix + key,
+      expires_at: { $gt: new Date() },
+    });
+    return record ? { totalHits: record.hits, resetTime: record.expires_at } : undefined;
+  }
+
+  // One atomic update either counts the hit in the live window or, when the
+  // window has expired or never existed, starts a new one. The TTL monitor
+  // only runs once a minute, so expired documents are handled here too.
+  async increment(key) {
+    const now = new Date();
+    const resetTime = new Date(now.getTime() + this.windowMs);
+    const isLive = { $gt: ['$expires_at', now] };
+
+    const record = await this.getCollection().findOneAndUpdate(
+      { _id: this.prefix + key },
+      [
+        {
+          $set: {
+            hits: { $cond: [isLive, { $add: ['$hits', 1] }, 1] },
+            expires_at: { $cond: [isLive, '$expires_at', resetTime] },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    return { totalHits: record.hits, resetTime: record.expires_at };
+  }
+
+  async decrement(key) {
+    await this.getCollection().updateOne(
+      { _id: this.prefix + key, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await this.getCollection().deleteOne({ _id: this.prefix + key });
+  }
+}
+
+// Key generators. Account and org keys fall back to the client IP when the
+// request does not carry one, so an anonymous caller is still limited.
+const keyGenerators = {
+  ip: (req) => req.ip,
+  account: (req) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+    return email || req.user?.sub || req.ip;
+  },
+  org: (req) =>
+    req.user?.org_id ||
+    (typeof req.body?.organization_name === 'string' ? req.body.organization_name : null) ||
+    req.ip,
+};
+
+// Shared options of every limiter: a store per limiter name, and going over
+// the limit is a RateLimitError for the central error handler
+function baseOptions(name, code, message) {
+  return {
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    store: config.rateLimitStore === 'memory' ? undefined : new MongoStore(name),
+    // A store outage should not take logins down with it
+    passOnStoreError: true,
+    handler: (req, res, next) => {
+      logger.warn('Rate limit exceeded', { limiter: name, path: req.path, ip: req.ip });
+      next(new RateLimitError(message, { code }));
+    },
+  };
+}
+
+// Builds the limiter configured under config.rateLimits[name]. Limiters
+// keep separate counters even when they share a key.
+function createLimiter(name, message) {
+  const settings = config.rateLimits[name];
+  if (!settings) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  const keyGenerator = keyGenerators[settings.key];
+  if (!keyGenerator) {
+    throw new Error(`Unknown rate limit key for ${name}: ${settings.key}`);
+  }
+
+  return rateLimit({
+    ...baseOptions(name, 'RATE_LIMITED', message),
+    windowMs: settings.windowMinutes * 60 * 1000,
+    limit: settings.max,
+    keyGenerator: (req) => `${settings.key}:${keyGenerator(req)}`,
+  });
+}
+
+// Per-organization request rate from the plan that requireTenant put on
+// req.plan. Plans without a rate limit skip it. The counters are exposed as
+// req.planRateLimit for GET /org/usage.
+function createPlanLimiter() {
+  return rateLimit({
+    ...baseOptions(
+      'orgRequests',
+      'QUOTA_EXCEEDED',
+      "Your plan's request rate has been exceeded, please try again later."
+    ),
+    windowMs: 60 * 1000,
+    limit: (req) => req.plan.limits.requests_per_minute,
+    skip: (req) => !req.plan || req.plan.limits.requests_per_minute === null,
+    keyGenerator: (req) => `org:${req.tenant.id}`,
+    requestPropertyName: 'planRateLimit',
+  });
+}
+
+export { createLimiter, createPlanLimiter, MongoStore };
@@ -1,8 +1,23 @@
 import express from 'express';
-import rateLimit from 'express-rate-limit';
 import Joi from 'joi';
-import { OrganizationService, AuthService } from './services.js';
-import { TokenManager } from './auth.js';
+import DatabaseManager from './database.js';
+import {
+  OrganizationService,
+  SettingsService,
+  PlanService,
+  AuthService,
+  SessionService,
+  MfaService,
+  ApiKeyService,
+  RoleService,
+  LoginAttemptService,
+  UserService,
+  InvitationService,
+} from './services.js';
+import { TransferService } from './transfer.js';
+import { WebhookService } from './webhooks.js';
+import { SsoService } from './sso.js';
+import { KeyManager, TokenManager } from './auth.js';
 import {
   validateRequest,
   createOrgSchema,
@@ -10,59 +25,343 @@ import {
   updateOrgSchema,
   deleteOrgSchema,
   getOrgSchema,
+  restoreOrgSchema,
+  renameOrgSchema,
+  listOrgsSchema,
+  listAuditSchema,
+  provisioningSchema,
+  createUserSchema,
+  updateUserSchema,
+  listUsersSchema,
+  userLoginSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  mfaLoginSchema,
+  mfaCodeSchema,
+  mfaPolicySchema,
+  unlockAccountSchema,
+  createApiKeySchema,
+  createRoleSchema,
+  updateRoleSchema,
+  createInvitationSchema,
+  acceptInvitationSchema,
+  assignPlanSchema,
+  orgSettingsPatchSchema,
+  settingsHistorySchema,
+  exportOrgSchema,
+  importOrgSchema,
+  createWebhookSchema,
+  listWebhookDeliveriesSchema,
+  ssoConfigSchema,
+  ssoStartSchema,
+  ssoCallbackSchema,
 } from './validators.js';
+import { AuditService, audit } from './audit.js';
+import { createLimiter, createPlanLimiter } from './ratelimit.js';
 import logger from './logger.js';
+import { ValidationError, AuthError, ForbiddenError, NotFoundError } from './errors.js';
 
 const router = express.Router();
 
-const createOrgLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 5,
-  message: 'Too many organization creation attempts, please try again later.',
-});
+const createOrgLimiter = createLimiter(
+  'createOrg',
+  'Too many organization creation attempts, please try again later.'
+);
+const loginLimiter = createLimiter('login', 'Too many login attempts, please try again later.');
+const userLoginLimiter = createLimiter(
+  'userLogin',
+  'Too many login attempts, please try again later.'
+);
+const mfaLimiter = createLimiter('mfa', 'Too many MFA attempts, please try again later.');
+const passwordResetLimiter = createLimiter(
+  'passwordReset',
+  'Too many password reset attempts, please try again later.'
+);
+const verificationLimiter = createLimiter(
+  'verification',
+  'Too many verification emails requested, please try again later.'
+);
+const invitationLimiter = createLimiter(
+  'invitation',
+  'Too many invitation attempts, please try again later.'
+);
+const ssoLimiter = createLimiter(
+  'sso',
+  'Too many single sign-on attempts, please try again later.'
+);
+const planLimiter = createPlanLimiter();
 
-const loginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 5,
-  message: 'Too many login attempts, please try again later.',
-});
+// One answer for every unusable token, so it does not say what was wrong
+const invalidToken = () => new AuthError('Invalid or expired token', { code: 'INVALID_TOKEN' });
 
-// Extract token from Authorization header
+// Extract token from Authorization header, or an API key from X-API-Key
 const extractToken = (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (authHeader && authHeader.startsWith('Bearer ')) {
     req.token = authHeader.slice(7);
   }
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    req.apiKey = apiKey;
+  }
   next();
 };
 
-// Verify JWT token
-const requireAuth = (req, res, next) => {
+// Verify JWT token or API key. A key sets req.user to the same org context
+// as an org admin's token, marked with principal 'api_key' and its scopes.
+const requireAuth = async (req, res, next) => {
+  if (!req.token && req.apiKey) {
+    try {
+      req.user = await ApiKeyService.authenticate(req.apiKey);
+    } catch (error) {
+      return next(error);
+    }
+    return next();
+  }
+
   if (!req.token) {
-    return res.status(401).json({
-      error: { code: 'MISSING_TOKEN', message: 'Authorization header missing' },
-    });
+    return next(new AuthError('Authorization header missing', { code: 'MISSING_TOKEN' }));
   }
 
+  let decoded;
   try {
-    const decoded = TokenManager.verifyToken(req.token);
-    req.user = decoded;
-    next();
+    decoded = TokenManager.verifyToken(req.token);
   } catch (error) {
-    res.status(401).json({
-      error: { code: 'INVALID_TOKEN', message: 'Invalid or expired token' },
-    });
+    return next(invalidToken());
+  }
+  // Refresh, verification and MFA tokens carry a type; access tokens don't
+  if (decoded.type) {
+    return next(invalidToken());
+  }
+  req.user = decoded;
+  next();
+};
+
+// Like requireAuth, but also accepts the enrollment token handed out when
+// an org requires MFA and the admin has not set it up yet
+const requireMfaEnrollmentAuth = (req, res, next) => {
+  if (!req.token) {
+    return next(new AuthError('Authorization header missing', { code: 'MISSING_TOKEN' }));
+  }
+
+  let decoded;
+  try {
+    decoded = TokenManager.verifyToken(req.token);
+  } catch (error) {
+    return next(invalidToken());
+  }
+  if (decoded.type && decoded.type !== 'mfa_enrollment') {
+    return next(invalidToken());
+  }
+  req.user = decoded;
+  next();
+};
+
+// Platform super admins act across organizations; API keys and tenant
+// users never do, even if a role of theirs is named 'admin'
+const isSuperAdmin = (user) => user.role === 'admin' && !user.principal;
+
+// Restrict to platform (super) admins
+const requireSuperAdmin = (req, res, next) => {
+  if (!isSuperAdmin(req.user)) {
+    return next(new ForbiddenError('Super admin access required'));
+  }
+  next();
+};
+
+// Require a permission of the caller's role, resolved per request so role
+// changes apply without new tokens
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    req.permissions ??= await RoleService.resolvePermissions(req.user);
+  } catch (error) {
+    // A tenant user whose organization is gone
+    return next(error instanceof NotFoundError ? new ForbiddenError(error.message) : error);
+  }
+
+  if (!req.permissions.includes(permission)) {
+    return next(
+      new ForbiddenError(`Missing permission: ${permission}`, { code: 'INSUFFICIENT_PERMISSION' })
+    );
+  }
+
+  next();
+};
+
+// Keep API keys away from credentials, sessions, MFA and key management,
+// which only a signed-in person should touch
+const rejectApiKey = (req, res, next) => {
+  if (req.user.principal === 'api_key') {
+    return next(new ForbiddenError('API keys cannot be used for this route'));
+  }
+  next();
+};
+
+// Keep every principal but master admins away from routes that change a
+// master admin's credentials: a tenant user holding the org_admin role, or
+// a key with its scopes, must not be able to take over the org's owner
+const requireMasterAdmin = (req, res, next) => {
+  if (req.user.principal) {
+    return next(new ForbiddenError('Only organization admins can use this route'));
+  }
+  next();
+};
+
+// Block admins whose email address is still unverified from mutating
+// routes. Tenant-user tokens and API keys carry no admin record and are not
+// affected; keys can only be minted by a verified admin.
+const requireVerifiedEmail = async (req, res, next) => {
+  if (req.user.principal) {
+    return next();
+  }
+
+  let verified;
+  try {
+    verified = await AuthService.isEmailVerified(req.user.sub);
+  } catch (error) {
+    // The admin the token was issued to no longer exists
+    return next(error instanceof NotFoundError ? invalidToken() : error);
+  }
+
+  if (!verified) {
+    return next(
+      new ForbiddenError('Email address has not been verified', { code: 'EMAIL_NOT_VERIFIED' })
+    );
+  }
+  next();
+};
+
+// Resolve the organization the request acts on into req.tenant, with its
+// database scoped in req.orgDb. It comes from the caller's token, by org
+// id so tokens issued before a rename keep working. A request naming an
+// organization through organization_name must name the caller's own,
+// unless the caller is a super admin, who may act on any organization.
+const resolveTenant = async (req, res, next) => {
+  const orgName = req.body?.organization_name ?? req.query?.organization_name;
+  const dbManager = DatabaseManager.getInstance();
+
+  let tenant;
+  try {
+    if (orgName !== undefined && isSuperAdmin(req.user)) {
+      tenant = await dbManager.getTenantByName(orgName);
+    } else {
+      tenant = await dbManager.getTenantById(req.user.org_id);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  if (orgName !== undefined && !isSuperAdmin(req.user) && orgName !== tenant.name) {
+    return next(
+      new ForbiddenError('Cannot access other organizations', { code: 'CROSS_TENANT_ACCESS' })
+    );
+  }
+
+  req.tenant = tenant;
+  req.orgDb = tenant.db;
+  next();
+};
+
+// Tenant data routes: resolveTenant, then block the organization while it
+// is pending deletion, load its plan into req.plan and enforce its request
+// rate. The organization_name used for targeting is consumed here, so the
+// route's own validation never sees it.
+const requireTenant = (req, res, next) => {
+  resolveTenant(req, res, async (error) => {
+    if (error) {
+      return next(error);
+    }
+
+    delete req.body?.organization_name;
+    delete req.query?.organization_name;
+
+    if (req.tenant.pendingDeletion) {
+      return next(
+        new ForbiddenError('Organization is pending deletion', { code: 'ORG_PENDING_DELETION' })
+      );
+    }
+
+    try {
+      req.plan = await PlanService.getPlan(req.tenant.plan);
+      planLimiter(req, res, next);
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
+// Audit describers: pull the affected org and target out of the request or
+// the response body for the audit trail
+const auditOrg = (req, body) => {
+  const orgName =
+    req.validatedData?.organization_name ||
+    req.body.organization_name ||
+    req.query.organization_name;
+  return { org_id: body.id, org_name: orgName, target: orgName };
+};
+
+const auditParam = (req, body) => ({ target: req.params.id || body.id });
+
+const auditLogin = (req, body) => ({
+  actor: body.admin_id
+    ? { id: body.admin_id, type: 'admin' }
+    : { type: 'anonymous', email: req.body.email },
+  org_id: body.organization_id,
+  org_name: body.organization_name,
+  target: req.body.email,
+});
+
+const auditSsoLogin = (req, body) => ({
+  actor: body.admin_id ? { id: body.admin_id, type: 'admin' } : { type: 'anonymous' },
+  org_id: body.organization_id,
+  org_name: body.organization_name,
+  target: body.admin_email,
+});
+
+const auditUserLogin = (req, body) => ({
+  actor: body.user_id
+    ? { id: body.user_id, type: 'user' }
+    : { type: 'anonymous', email: req.body.email },
+  org_id: body.organization_id,
+  org_name: req.body.organization_name,
+  target: req.body.email,
+});
+
+const auditInvitationAccept = (req, body) => ({
+  actor: body.user ? { id: body.user.id, type: 'user' } : { type: 'anonymous' },
+  org_id: body.organization_id,
+  org_name: body.organization_name,
+  target: body.user?.email,
+});
+
+// If-Match carries the settings version from the ETag, e.g. "3" or W/"3"
+const parseIfMatch = (header) => {
+  if (header === undefined) {
+    return undefined;
   }
+  const version = Number(header.replace(/^W\//, '').replace(/"/g, ''));
+  return Number.isInteger(version) ? version : NaN;
 };
 
+// Anybody can post an admin_id: it only names the actor once the refresh
+// token has been verified for it, and is just the target otherwise
+const auditRefresh = (req, body) => ({
+  actor: body.access_token ? { id: req.body.admin_id, type: 'admin' } : { type: 'anonymous' },
+  target: req.body.admin_id,
+});
+
 router.use(extractToken);
 
 // POST /org/create
 router.post(
   '/org/create',
   createOrgLimiter,
+  audit('org.create', auditOrg),
   validateRequest(createOrgSchema),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       const { organization_name, email, password } = req.validatedData;
 
@@ -75,17 +374,13 @@ router.post(
       logger.info('Organization created', { org: organization_name });
       res.status(200).json(result);
     } catch (error) {
-      logger.error('Create org error', { message: error.message });
-      const statusCode = error.message.includes('already exists') ? 409 : 400;
-      res.status(statusCode).json({
-        error: { code: 'CREATE_ORG_ERROR', message: error.message },
-      });
+      next(error);
     }
   }
 );
 
 // GET /org/get
-router.get('/org/get', validateRequest(getOrgSchema), async (req, res) => {
+router.get('/org/get', validateRequest(getOrgSchema), async (req, res, next) => {
   try {
     const { organization_name } = req.validatedData;
 
@@ -93,42 +388,30 @@ router.get('/org/get', validateRequest(getOrgSchema), async (req, res) => {
 
     res.status(200).json(result);
   } catch (error) {
-    const statusCode = error.message.includes('not found') ? 404 : 400;
-    res.status(statusCode).json({
-      error: { code: 'GET_ORG_ERROR', message: error.message },
-    });
+    next(error);
   }
 });
 
 // PUT /org/update
 router.put(
   '/org/update',
+  audit('org.update', auditOrg),
   requireAuth,
+  requireMasterAdmin,
+  requirePermission('org:update'),
+  resolveTenant,
+  requireVerifiedEmail,
   validateRequest(updateOrgSchema),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const { organization_name, email, password } = req.validatedData;
-
-      // Check authorization
-      if (req.user.role !== 'admin' && req.user.org_name !== organization_name) {
-        return res.status(403).json({
-          error: { code: 'FORBIDDEN', message: 'Cannot update other organizations' },
-        });
-      }
+      const { email, password } = req.validatedData;
 
-      const result = await OrganizationService.updateOrganization(
-        organization_name,
-        email,
-        password
-      );
+      const result = await OrganizationService.updateOrganization(req.tenant, email, password);
 
-      logger.info('Organization updated', { org: organization_name });
+      logger.info('Organization updated', { org: req.tenant.name });
       res.status(200).json(result);
     } catch (error) {
-      const statusCode = error.message.includes('not found') ? 404 : 400;
-      res.status(statusCode).json({
-        error: { code: 'UPDATE_ORG_ERROR', message: error.message },
-      });
+      next(error);
     }
   }
 );
@@ -136,89 +419,1427 @@ router.put(
 // DELETE /org/delete
 router.delete(
   '/org/delete',
+  audit('org.delete', auditOrg),
   requireAuth,
+  requirePermission('org:delete'),
+  resolveTenant,
+  requireVerifiedEmail,
   validateRequest(deleteOrgSchema),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      const { organization_name } = req.validatedData;
+      const result = await OrganizationService.deleteOrganization(req.tenant, req.user.sub);
 
-      // Check authorization
-      if (req.user.role !== 'admin' && req.user.org_name !== organization_name) {
-        return res.status(403).json({
-          error: { code: 'FORBIDDEN', message: 'Cannot delete other organizations' },
-        });
-      }
+      logger.info('Organization deleted', { org: req.tenant.name });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      const result = await OrganizationService.deleteOrganization(
-        organization_name,
-        req.user.sub
+// POST /org/restore
+router.post(
+  '/org/restore',
+  audit('org.restore', auditOrg),
+  requireAuth,
+  requirePermission('org:delete'),
+  resolveTenant,
+  requireVerifiedEmail,
+  validateRequest(restoreOrgSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await OrganizationService.restoreOrganization(req.tenant);
+
+      logger.info('Organization restored', { org: req.tenant.name });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/rename
+router.post(
+  '/org/rename',
+  audit('org.rename', auditOrg),
+  requireAuth,
+  requirePermission('org:rename'),
+  resolveTenant,
+  requireVerifiedEmail,
+  validateRequest(renameOrgSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { new_organization_name } = req.validatedData;
+
+      const result = await OrganizationService.renameOrganization(
+        req.tenant,
+        new_organization_name
       );
 
-      logger.info('Organization deleted', { org: organization_name });
       res.status(200).json(result);
     } catch (error) {
-      const statusCode = error.message.includes('not found') ? 404 : 403;
-      res.status(statusCode).json({
-        error: { code: 'DELETE_ORG_ERROR', message: error.message },
-      });
+      next(error);
     }
   }
 );
 
-// POST /admin/login
+// POST /org/mfa-policy
 router.post(
-  '/admin/login',
-  loginLimiter,
-  validateRequest(loginSchema),
-  async (req, res) => {
+  '/org/mfa-policy',
+  audit('org.mfa_policy', auditOrg),
+  requireAuth,
+  rejectApiKey,
+  requirePermission('org:security'),
+  resolveTenant,
+  requireVerifiedEmail,
+  validateRequest(mfaPolicySchema, 'body'),
+  async (req, res, next) => {
     try {
-      const { email, password } = req.validatedData;
+      const { required } = req.validatedData;
 
-      const result = await AuthService.adminLogin(email, password);
+      const result = await OrganizationService.setMfaPolicy(req.tenant, required);
 
       res.status(200).json(result);
     } catch (error) {
-      const statusCode = error.message.includes('credentials') ? 401 : 400;
-      res.status(statusCode).json({
-        error: { code: 'LOGIN_ERROR', message: error.message },
-      });
+      next(error);
     }
   }
 );
 
-// POST /auth/refresh
-const refreshTokenSchema = Joi.object({
-  admin_id: Joi.string().required(),
-  refresh_token: Joi.string().required(),
+// GET /org/sso
+router.get(
+  '/org/sso',
+  requireAuth,
+  rejectApiKey,
+  requirePermission('org:security'),
+  resolveTenant,
+  async (req, res, next) => {
+    try {
+      const result = await SsoService.getConfig(req.tenant);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /org/sso
+router.put(
+  '/org/sso',
+  audit('org.sso_configure'),
+  requireAuth,
+  rejectApiKey,
+  requirePermission('org:security'),
+  resolveTenant,
+  requireVerifiedEmail,
+  validateRequest(ssoConfigSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await SsoService.configure(req.tenant, req.validatedData);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /org/sso
+router.delete(
+  '/org/sso',
+  audit('org.sso_remove'),
+  requireAuth,
+  rejectApiKey,
+  requirePermission('org:security'),
+  resolveTenant,
+  requireVerifiedEmail,
+  async (req, res, next) => {
+    try {
+      const result = await SsoService.removeConfig(req.tenant);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/settings
+router.get('/org/settings', requireAuth, requireTenant, async (req, res, next) => {
+  try {
+    const result = await SettingsService.getSettings(req.tenant);
+
+    res.set('ETag', `"${result.version}"`);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
 });
 
-router.post(
-  '/auth/refresh',
-  validateRequest(refreshTokenSchema),
-  async (req, res) => {
+// PATCH /org/settings
+router.patch(
+  '/org/settings',
+  audit('org.settings_update', (req, body) => ({ target: body.version })),
+  requireAuth,
+  requirePermission('org:update'),
+  requireVerifiedEmail,
+  requireTenant,
+  validateRequest(orgSettingsPatchSchema, 'body'),
+  async (req, res, next) => {
     try {
-      const { admin_id, refresh_token } = req.validatedData;
+      const result = await SettingsService.updateSettings(req.tenant, req.validatedData, {
+        expectedVersion: parseIfMatch(req.get('If-Match')),
+        updatedBy: req.user.sub,
+      });
+
+      res.set('ETag', `"${result.version}"`);
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      const result = await AuthService.refreshAccessToken(admin_id, refresh_token);
+// GET /org/settings/history
+router.get(
+  '/org/settings/history',
+  requireAuth,
+  requirePermission('org:update'),
+  requireTenant,
+  validateRequest(settingsHistorySchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await SettingsService.listHistory(req.tenant, req.validatedData.limit);
 
       res.status(200).json(result);
     } catch (error) {
-      res.status(401).json({
-        error: { code: 'REFRESH_ERROR', message: error.message },
+      next(error);
+    }
+  }
+);
+
+// POST /org/api-keys
+router.post(
+  '/org/api-keys',
+  audit('api_key.create', (req, body) => ({ target: body.id })),
+  requireAuth,
+  rejectApiKey,
+  requirePermission('api_keys:manage'),
+  requireVerifiedEmail,
+  requireTenant,
+  validateRequest(createApiKeySchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { name, scopes, expires_at } = req.validatedData;
+
+      const result = await ApiKeyService.createKey(req.tenant, req.user.sub, {
+        name,
+        scopes,
+        expiresAt: expires_at,
       });
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
     }
   }
 );
 
-// GET /admin/verify-token
-router.get('/admin/verify-token', requireAuth, (req, res) => {
-  res.status(200).json({
-    admin_id: req.user.sub,
-    organization_id: req.user.org_id,
-    organization_name: req.user.org_name,
-    role: req.user.role,
-    message: 'Token is valid',
-  });
+// GET /org/api-keys
+router.get(
+  '/org/api-keys',
+  requireAuth,
+  rejectApiKey,
+  requirePermission('api_keys:manage'),
+  resolveTenant,
+  async (req, res, next) => {
+    try {
+      const result = await ApiKeyService.listKeys(req.tenant);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /org/api-keys/:id
+router.delete(
+  '/org/api-keys/:id',
+  audit('api_key.revoke', auditParam),
+  requireAuth,
+  rejectApiKey,
+  requirePermission('api_keys:manage'),
+  requireVerifiedEmail,
+  resolveTenant,
+  async (req, res, next) => {
+    try {
+      const result = await ApiKeyService.revokeKey(req.tenant, req.params.id);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/webhooks
+router.post(
+  '/org/webhooks',
+  audit('webhook.create', (req, body) => ({ target: body.id })),
+  requireAuth,
+  requirePermission('webhooks:manage'),
+  requireVerifiedEmail,
+  requireTenant,
+  validateRequest(createWebhookSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await WebhookService.createWebhook(
+        req.tenant,
+        req.user.sub,
+        req.validatedData
+      );
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/webhooks
+router.get(
+  '/org/webhooks',
+  requireAuth,
+  requirePermission('webhooks:manage'),
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await WebhookService.listWebhooks(req.tenant);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /org/webhooks/:id
+router.delete(
+  '/org/webhooks/:id',
+  audit('webhook.delete', auditParam),
+  requireAuth,
+  requirePermission('webhooks:manage'),
+  requireVerifiedEmail,
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await WebhookService.deleteWebhook(req.tenant, req.params.id);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/webhooks/:id/deliveries
+router.get(
+  '/org/webhooks/:id/deliveries',
+  requireAuth,
+  requirePermission('webhooks:manage'),
+  requireTenant,
+  validateRequest(listWebhookDeliveriesSchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await WebhookService.listDeliveries(
+        req.tenant,
+        req.params.id,
+        req.validatedData
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Platform webhooks: registered by super admins, they receive the events of
+// every organization
+
+// POST /webhooks
+router.post(
+  '/webhooks',
+  audit('webhook.create', (req, body) => ({ target: body.id })),
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(createWebhookSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await WebhookService.createWebhook(null, req.user.sub, req.validatedData);
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /webhooks
+router.get('/webhooks', requireAuth, requireSuperAdmin, async (req, res, next) => {
+  try {
+    const result = await WebhookService.listWebhooks(null);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /webhooks/deliver
+// Sends due deliveries and retries; meant for a scheduler in serverless
+// deployments, where no timer outlives the request
+router.post('/webhooks/deliver', requireAuth, requireSuperAdmin, async (req, res, next) => {
+  try {
+    const result = await WebhookService.processDue();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /webhooks/:id
+router.delete(
+  '/webhooks/:id',
+  audit('webhook.delete', auditParam),
+  requireAuth,
+  requireSuperAdmin,
+  async (req, res, next) => {
+    try {
+      const result = await WebhookService.deleteWebhook(null, req.params.id);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /webhooks/:id/deliveries
+router.get(
+  '/webhooks/:id/deliveries',
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(listWebhookDeliveriesSchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await WebhookService.listDeliveries(null, req.params.id, req.validatedData);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/purge
+router.post(
+  '/org/purge',
+  audit('org.purge'),
+  requireAuth,
+  requireSuperAdmin,
+  async (req, res, next) => {
+    try {
+      const result = await OrganizationService.purgeDeletedOrganizations();
+
+      logger.info('Organization purge run', { purged: result.purged.length });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/export
+router.get(
+  '/org/export',
+  audit('org.export', auditOrg),
+  requireAuth,
+  requirePermission('org:export'),
+  resolveTenant,
+  requireVerifiedEmail,
+  validateRequest(exportOrgSchema, 'query'),
+  async (req, res, next) => {
+    const { include_secrets } = req.validatedData;
+
+    // Archives with credentials can restore a tenant anywhere; only the
+    // platform operators get those
+    if (include_secrets && !isSuperAdmin(req.user)) {
+      return next(new ForbiddenError('Super admin access required to export secrets'));
+    }
+
+    let prepared;
+    try {
+      prepared = await TransferService.prepareExport(req.tenant, {
+        includeSecrets: include_secrets,
+      });
+    } catch (error) {
+      return next(error);
+    }
+
+    try {
+      res.status(200);
+      res.type('application/gzip');
+      res.attachment(prepared.fileName);
+      await prepared.writeTo(res);
+      logger.info('Organization exported', { org: req.tenant.name, redacted: !include_secrets });
+    } catch (error) {
+      // Headers are gone already; cutting the connection is all that is left
+      logger.error('Organization export failed', {
+        org: req.tenant.name,
+        message: error.message,
+      });
+      res.destroy(error);
+    } finally {
+      await prepared.cleanup();
+    }
+  }
+);
+
+// POST /org/import
+router.post(
+  '/org/import',
+  audit('org.import', (req, body) => ({
+    org_id: body.id,
+    org_name: body.organization_name,
+    target: body.organization_name,
+  })),
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(importOrgSchema, 'query'),
+  async (req, res, next) => {
+    if (!req.is('application/gzip')) {
+      return next(new ValidationError('Request body must be an application/gzip archive'));
+    }
+
+    try {
+      const result = await TransferService.importOrganization(req, {
+        organizationName: req.validatedData.organization_name,
+      });
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /orgs
+router.get(
+  '/orgs',
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(listOrgsSchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const result = await OrganizationService.listOrganizations(req.validatedData);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /plans
+router.get('/plans', requireAuth, requireSuperAdmin, async (req, res, next) => {
+  try {
+    const result = await PlanService.listPlans();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /org/plan
+router.post(
+  '/org/plan',
+  audit('org.plan_change', auditOrg),
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(assignPlanSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { organization_name, plan } = req.validatedData;
+
+      const result = await PlanService.assignPlan(organization_name, plan);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/usage
+router.get('/org/usage', requireAuth, requireTenant, async (req, res, next) => {
+  try {
+    const result = await PlanService.getUsage(req.tenant, {
+      requestsThisMinute: req.planRateLimit ? req.planRateLimit.used : null,
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /org/provisioning
+router.get('/org/provisioning', requireAuth, requireSuperAdmin, async (req, res, next) => {
+  try {
+    const result = await OrganizationService.listStuckProvisioning();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /org/provisioning/resume
+router.post(
+  '/org/provisioning/resume',
+  audit('org.provisioning.resume', auditOrg),
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(provisioningSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { organization_name } = req.validatedData;
+
+      const result = await OrganizationService.resumeProvisioning(organization_name);
+
+      logger.info('Organization provisioning resumed', { org: organization_name });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/provisioning/cleanup
+router.post(
+  '/org/provisioning/cleanup',
+  audit('org.provisioning.cleanup', auditOrg),
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(provisioningSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { organization_name } = req.validatedData;
+
+      const result = await OrganizationService.cleanupProvisioning(organization_name);
+
+      logger.info('Organization provisioning cleaned up', { org: organization_name });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/login
+router.post(
+  '/admin/login',
+  loginLimiter,
+  audit('admin.login', auditLogin),
+  validateRequest(loginSchema),
+  async (req, res, next) => {
+    try {
+      const { email, password, device } = req.validatedData;
+
+      const result = await AuthService.adminLogin(email, password, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        device,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /auth/sso/start
+// Sends the browser to the org's identity provider
+router.get(
+  '/auth/sso/start',
+  ssoLimiter,
+  validateRequest(ssoStartSchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const { organization_name, login_hint } = req.validatedData;
+
+      const result = await SsoService.startLogin(organization_name, { loginHint: login_hint });
+
+      res.redirect(302, result.authorization_url);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/sso/link
+// Starts linking the signed-in admin to the org's identity provider; the
+// browser goes to the returned URL and the callback finishes the link
+router.post(
+  '/auth/sso/link',
+  ssoLimiter,
+  audit('admin.sso_link'),
+  requireAuth,
+  rejectApiKey,
+  validateRequest(mfaCodeSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { code } = req.validatedData;
+
+      const result = await SsoService.startLink(req.user.sub, code);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /auth/sso/callback
+// Where the identity provider sends the browser back; answers like
+// /admin/login, with tokens or an MFA step, or confirms a link started
+// with /auth/sso/link
+router.get(
+  '/auth/sso/callback',
+  ssoLimiter,
+  audit('admin.login_sso', auditSsoLogin),
+  validateRequest(ssoCallbackSchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const { code, state, error, error_description } = req.validatedData;
+      if (error) {
+        throw new AuthError(`Identity provider refused the login: ${error_description || error}`);
+      }
+
+      const result = await SsoService.completeLogin(
+        { code, state },
+        { ip: req.ip, userAgent: req.get('user-agent') }
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/login/mfa
+router.post(
+  '/admin/login/mfa',
+  mfaLimiter,
+  audit('admin.login_mfa', auditLogin),
+  validateRequest(mfaLoginSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { mfa_token, code } = req.validatedData;
+
+      const result = await AuthService.completeMfaLogin(mfa_token, code, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /admin/unlock
+router.post(
+  '/admin/unlock',
+  audit('admin.unlock', (req) => ({ target: req.body.email })),
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(unlockAccountSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { email } = req.validatedData;
+
+      const result = await LoginAttemptService.unlock(email);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/refresh
+const refreshTokenSchema = Joi.object({
+  admin_id: Joi.string().required(),
+  refresh_token: Joi.string().required(),
+});
+
+router.post(
+  '/auth/refresh',
+  audit('auth.refresh', auditRefresh),
+  validateRequest(refreshTokenSchema),
+  async (req, res, next) => {
+    try {
+      const { admin_id, refresh_token } = req.validatedData;
+
+      const result = await AuthService.refreshAccessToken(admin_id, refresh_token, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/logout
+router.post(
+  '/auth/logout',
+  audit('auth.logout'),
+  validateRequest(logoutSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { refresh_token } = req.validatedData;
+
+      const result = await AuthService.logout(refresh_token);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/logout-all
+router.post(
+  '/auth/logout-all',
+  audit('auth.logout_all'),
+  requireAuth,
+  rejectApiKey,
+  async (req, res, next) => {
+    try {
+      const result = await AuthService.logoutAll(req.user.sub);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/forgot-password
+router.post(
+  '/auth/forgot-password',
+  passwordResetLimiter,
+  audit('auth.forgot_password', (req) => ({ target: req.body.email })),
+  validateRequest(forgotPasswordSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { email } = req.validatedData;
+
+      const result = await AuthService.requestPasswordReset(email);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/reset-password
+router.post(
+  '/auth/reset-password',
+  passwordResetLimiter,
+  audit('auth.reset_password'),
+  validateRequest(resetPasswordSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { token, password } = req.validatedData;
+
+      const result = await AuthService.resetPassword(token, password);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/verify-email
+router.post(
+  '/auth/verify-email',
+  audit('auth.verify_email', (req, body) => ({ target: body.admin_email })),
+  validateRequest(verifyEmailSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { token } = req.validatedData;
+
+      const result = await AuthService.verifyEmail(token);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/resend-verification
+router.post(
+  '/auth/resend-verification',
+  verificationLimiter,
+  audit('auth.resend_verification', (req) => ({ target: req.body.email })),
+  validateRequest(resendVerificationSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { email } = req.validatedData;
+
+      const result = await AuthService.resendVerification(email);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /auth/mfa
+router.get(
+  '/auth/mfa',
+  requireAuth,
+  rejectApiKey,
+  async (req, res, next) => {
+    try {
+      const result = await MfaService.getStatus(req.user.sub);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/mfa/enroll
+router.post(
+  '/auth/mfa/enroll',
+  audit('auth.mfa_enroll'),
+  requireMfaEnrollmentAuth,
+  async (req, res, next) => {
+    try {
+      const result = await MfaService.beginEnrollment(req.user.sub);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/mfa/confirm
+router.post(
+  '/auth/mfa/confirm',
+  audit('auth.mfa_confirm'),
+  requireMfaEnrollmentAuth,
+  validateRequest(mfaCodeSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { code } = req.validatedData;
+
+      // An enrollment token stands in for a login, so it finishes one
+      const result =
+        req.user.type === 'mfa_enrollment'
+          ? await AuthService.completeMfaEnrollment(req.user.sub, code, {
+              ip: req.ip,
+              userAgent: req.get('user-agent'),
+            })
+          : await MfaService.confirmEnrollment(req.user.sub, code);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /auth/mfa/disable
+router.post(
+  '/auth/mfa/disable',
+  audit('auth.mfa_disable'),
+  requireAuth,
+  rejectApiKey,
+  validateRequest(mfaCodeSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { code } = req.validatedData;
+
+      const result = await MfaService.disable(req.user.sub, code);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /auth/sessions
+router.get(
+  '/auth/sessions',
+  requireAuth,
+  rejectApiKey,
+  async (req, res, next) => {
+    try {
+      const result = await SessionService.listSessions(req.user.sub, req.user.sid);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /auth/sessions/:id
+router.delete(
+  '/auth/sessions/:id',
+  audit('session.revoke', auditParam),
+  requireAuth,
+  rejectApiKey,
+  async (req, res, next) => {
+    try {
+      const result = await SessionService.revokeSession(req.user.sub, req.params.id);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/roles
+router.get(
+  '/org/roles',
+  requireAuth,
+  requirePermission('users:read'),
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await RoleService.listRoles(req.tenant);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/roles
+router.post(
+  '/org/roles',
+  audit('role.create', (req) => ({ target: req.body.name })),
+  requireAuth,
+  requirePermission('roles:manage'),
+  requireVerifiedEmail,
+  requireTenant,
+  validateRequest(createRoleSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await RoleService.createRole(req.tenant, req.validatedData, req.permissions);
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /org/roles/:name
+router.put(
+  '/org/roles/:name',
+  audit('role.update', (req) => ({ target: req.params.name })),
+  requireAuth,
+  requirePermission('roles:manage'),
+  requireVerifiedEmail,
+  requireTenant,
+  validateRequest(updateRoleSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await RoleService.updateRole(
+        req.tenant,
+        req.params.name,
+        req.validatedData,
+        req.permissions
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /org/roles/:name
+router.delete(
+  '/org/roles/:name',
+  audit('role.delete', (req) => ({ target: req.params.name })),
+  requireAuth,
+  requirePermission('roles:manage'),
+  requireVerifiedEmail,
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await RoleService.deleteRole(req.tenant, req.params.name);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/users/login
+router.post(
+  '/org/users/login',
+  userLoginLimiter,
+  audit('user.login', auditUserLogin),
+  validateRequest(userLoginSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { organization_name, email, password } = req.validatedData;
+
+      const result = await UserService.userLogin(organization_name, email, password);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/users
+router.post(
+  '/org/users',
+  audit('user.create', auditParam),
+  requireAuth,
+  requirePermission('users:write'),
+  requireVerifiedEmail,
+  requireTenant,
+  validateRequest(createUserSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await UserService.createUser(req.tenant, req.validatedData, req.permissions);
+
+      logger.info('User created', { org: req.tenant.name, user_id: result.id });
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/users
+router.get(
+  '/org/users',
+  requireAuth,
+  requirePermission('users:read'),
+  requireTenant,
+  validateRequest(listUsersSchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const { page, limit } = req.validatedData;
+
+      const result = await UserService.listUsers(req.tenant, page, limit);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/users/:id
+router.get(
+  '/org/users/:id',
+  requireAuth,
+  requirePermission('users:read'),
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await UserService.getUser(req.tenant, req.params.id);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// PUT /org/users/:id
+router.put(
+  '/org/users/:id',
+  audit('user.update', auditParam),
+  requireAuth,
+  requirePermission('users:write'),
+  requireVerifiedEmail,
+  requireTenant,
+  validateRequest(updateUserSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await UserService.updateUser(
+        req.tenant,
+        req.params.id,
+        req.validatedData,
+        req.permissions
+      );
+
+      logger.info('User updated', { org: req.tenant.name, user_id: req.params.id });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/users/:id/deactivate
+router.post(
+  '/org/users/:id/deactivate',
+  audit('user.deactivate', auditParam),
+  requireAuth,
+  requirePermission('users:write'),
+  requireVerifiedEmail,
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await UserService.deactivateUser(req.tenant, req.params.id, req.permissions);
+
+      logger.info('User deactivated', { org: req.tenant.name, user_id: req.params.id });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /org/users/:id
+router.delete(
+  '/org/users/:id',
+  audit('user.delete', auditParam),
+  requireAuth,
+  requirePermission('users:write'),
+  requireVerifiedEmail,
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await UserService.deleteUser(req.tenant, req.params.id, req.permissions);
+
+      logger.info('User deleted', { org: req.tenant.name, user_id: req.params.id });
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/invitations
+router.post(
+  '/org/invitations',
+  audit('invitation.create', auditParam),
+  requireAuth,
+  requirePermission('users:write'),
+  requireVerifiedEmail,
+  requireTenant,
+  validateRequest(createInvitationSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const result = await InvitationService.createInvitation(
+        req.tenant,
+        req.user.sub,
+        req.validatedData,
+        req.permissions
+      );
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /org/invitations
+router.get(
+  '/org/invitations',
+  requireAuth,
+  requirePermission('users:read'),
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await InvitationService.listInvitations(req.tenant);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/invitations/accept
+router.post(
+  '/org/invitations/accept',
+  invitationLimiter,
+  audit('invitation.accept', auditInvitationAccept),
+  validateRequest(acceptInvitationSchema, 'body'),
+  async (req, res, next) => {
+    try {
+      const { token, password, name } = req.validatedData;
+
+      const result = await InvitationService.acceptInvitation(token, { password, name });
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /org/invitations/:id/resend
+router.post(
+  '/org/invitations/:id/resend',
+  audit('invitation.resend', auditParam),
+  requireAuth,
+  requirePermission('users:write'),
+  requireVerifiedEmail,
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await InvitationService.resendInvitation(req.tenant, req.params.id);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// DELETE /org/invitations/:id
+router.delete(
+  '/org/invitations/:id',
+  audit('invitation.revoke', auditParam),
+  requireAuth,
+  requirePermission('users:write'),
+  requireVerifiedEmail,
+  requireTenant,
+  async (req, res, next) => {
+    try {
+      const result = await InvitationService.revokeInvitation(req.tenant, req.params.id);
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /audit
+router.get(
+  '/audit',
+  requireAuth,
+  requireSuperAdmin,
+  validateRequest(listAuditSchema, 'query'),
+  async (req, res, next) => {
+    try {
+      const { org_id, action, actor_id, from, to, before, limit } = req.validatedData;
+
+      const result = await AuditService.listEntries({
+        orgId: org_id,
+        action,
+        actorId: actor_id,
+        from,
+        to,
+        before,
+        limit,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /audit/verify
+router.get('/audit/verify', requireAuth, requireSuperAdmin, async (req, res, next) => {
+  try {
+    const result = await AuditService.verifyChain();
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /org/audit
+router.get(
+  '/org/audit',
+  requireAuth,
+  requirePermission('audit:read'),
+  resolveTenant,
+  validateRequest(listAuditSchema.fork(['org_id'], (schema) => schema.forbidden()), 'query'),
+  async (req, res, next) => {
+    try {
+      const { action, actor_id, from, to, before, limit } = req.validatedData;
+
+      // Org admins only ever see their own organization's trail
+      const result = await AuditService.listEntries({
+        orgId: req.tenant.id,
+        action,
+        actorId: actor_id,
+        from,
+        to,
+        before,
+        limit,
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /admin/verify-token
+router.get('/admin/verify-token', requireAuth, (req, res) => {
+  res.status(200).json({
+    admin_id: req.user.sub,
+    organization_id: req.user.org_id,
+    organization_name: req.user.org_name,
+    role: req.user.role,
+    message: 'Token is valid',
+  });
+});
+
+// GET /.well-known/jwks.json
+// Public keys for verifying our tokens elsewhere; empty while tokens are
+// signed with the HS256 secret. Verifiers should refetch on an unknown kid.
+router.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(KeyManager.getJwks());
 });
 
 // GET /health
@@ -1,17 +1,30 @@
+import http from 'http';
 import express from 'express';
 import helmet from 'helmet';
 import config from './config.js';
 import DatabaseManager from './database.js';
 import routes from './routes.js';
+import { Migrator } from './migrator.js';
+import { WebhookService } from './webhooks.js';
+import { KeyManager } from './auth.js';
+import { Mailer } from './mailer.js';
 import logger from './logger.js';
+import { AppError, ValidationError, NotFoundError, PayloadTooLargeError } from './errors.js';
+
+// Misconfigured JWT keys fail here instead of on the first login, and a
+// missing mail transport instead of on the first mail
+KeyManager.getKeys();
+Mailer.getInstance().getTransport();
 
 const app = express();
 
+app.set('trust proxy', config.trustProxy);
+
 // Security middleware
 app.use(helmet());
 
-// Body parsing middleware
-app.use(express.json());
+// Body parsing middleware (merge patches for PATCH /org/settings are JSON too)
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging
@@ -23,8 +36,13 @@ app.use((req, res, next) => {
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header(
+    'Access-Control-Allow-Headers',
+    'Origin, X-Requested-With, Content-Type, Accept, Authorization, If-Match, X-API-Key'
+  );
+  // Lets browser clients read the version for PATCH /org/settings
+  res.header('Access-Control-Expose-Headers', 'ETag');
 
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -33,67 +51,111 @@ app.use((req, res, next) => {
   next();
 });
 
-// Routes
-app.use('/', routes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error('Request error', { message: err.message, stack: err.stack });
-  res.status(err.status || 500).json({
-    error: {
-      code: err.code || 'INTERNAL_ERROR',
-      message: err.message || 'Internal Server Error',
-    },
-  });
-});
-
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: { code: 'NOT_FOUND', message: 'Route not found' },
-  });
-});
-
 let dbInitialized = false;
 
-// Initialize DB on first request
+// Initialize DB on first request, before any route (or rate limiter) needs it
 app.use(async (req, res, next) => {
   if (!dbInitialized && config.mongoUrl) {
     try {
       const dbManager = DatabaseManager.getInstance();
       await dbManager.connect();
 
-      const db = dbManager.getDb();
-      const orgsCollection = db.collection(config.masterCollection);
-      await orgsCollection.createIndex({ organization_name: 1 }, { unique: true });
-
-      const adminCollection = db.collection(config.adminCollection);
-      await adminCollection.createIndex({ admin_email: 1 }, { unique: true });
+      await Migrator.migrateOnStartup();
 
       dbInitialized = true;
       logger.info('Database connected');
     } catch (error) {
       logger.error('Database connection failed', { message: error.message });
-      return res.status(500).json({
-        error: { code: 'DB_CONNECTION_ERROR', message: 'Database connection failed' },
-      });
+      return next(new AppError('Database connection failed', { code: 'DB_CONNECTION_ERROR' }));
     }
   }
   next();
 });
 
+// Routes
+app.use('/', routes);
+
+// 404 handler
+app.use((req, res, next) => {
+  next(new NotFoundError('Route not found'));
+});
+
+// Errors from body parsing that are the client's fault
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+  if (err.type === 'entity.parse.failed') {
+    return new ValidationError('Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError('Request body is too large');
+  }
+  return null;
+};
+
+// Error handling middleware: every error ends up here. AppErrors answer
+// with their status, code and message; anything else is a bug or an outage
+// whose message may carry internals, so it is logged and answered with a
+// bare 500. Clients that accept application/problem+json get an RFC 7807
+// problem document, everyone else the usual { error: { code, message } }.
+app.use((err, req, res, next) => {
+  const error = toAppError(err);
+  if (!error || error.status >= 500) {
+    logger.error('Request error', {
+      method: req.method,
+      path: req.path,
+      code: error?.code,
+      message: err.message,
+      stack: err.stack,
+    });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const status = error ? error.status : 500;
+  const code = error ? error.code : 'INTERNAL_ERROR';
+  const message = error ? error.message : 'Internal Server Error';
+  const details = error?.details;
+
+  if (
+    req.accepts(['application/json', 'application/problem+json']) === 'application/problem+json'
+  ) {
+    res.status(status).type('application/problem+json');
+    return res.json({
+      type: 'about:blank',
+      title: http.STATUS_CODES[status],
+      status,
+      detail: message,
+      instance: req.originalUrl,
+      code,
+      ...(details ? { details } : {}),
+    });
+  }
+
+  res.status(status).json({
+    error: { code, message, ...(details ? { details } : {}) },
+  });
+});
+
 // Local development: start server
 async function startServer() {
   try {
     const dbManager = DatabaseManager.getInstance();
     await dbManager.connect();
 
-    const db = dbManager.getDb();
-    const orgsCollection = db.collection(config.masterCollection);
-    await orgsCollection.createIndex({ organization_name: 1 }, { unique: true });
+    await Migrator.migrateOnStartup();
+    dbInitialized = true;
 
-    const adminCollection = db.collection(config.adminCollection);
-    await adminCollection.createIndex({ admin_email: 1 }, { unique: true });
+    // Picks up webhook retries; serverless deployments schedule
+    // `npm run webhooks` or POST /webhooks/deliver instead
+    setInterval(() => {
+      WebhookService.processDue().catch((error) => {
+        logger.error('Webhook dispatch failed', { message: error.message });
+      });
+    }, config.webhookPollSeconds * 1000).unref();
 
     app.listen(config.port, () => {
       logger.info(`Server running on http://localhost:${config.port}`, {
@@ -1,25 +1,94 @@
 import DatabaseManager from './database.js';
-import { PasswordManager, TokenManager } from './auth.js';
+import { PasswordManager, TokenManager, TotpManager } from './auth.js';
 import { ObjectId } from 'mongodb';
+import crypto from 'crypto';
 import validator from 'validator';
 import config from './config.js';
+import { Mailer } from './mailer.js';
+import { AuditService } from './audit.js';
+import { Migrator } from './migrator.js';
+import { WebhookService } from './webhooks.js';
+import { BUILT_IN_ROLES, TENANT_ROLES, isBuiltInRole } from './permissions.js';
+import { PLAN_LIMITS, DEFAULT_PLANS } from './plans.js';
+import { orgSettingsSchema } from './validators.js';
+import {
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  PreconditionFailedError,
+} from './errors.js';
 import logger from './logger.js';
 
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON Merge Patch (RFC 7386): objects merge recursively, null removes a
+// member and anything else replaces it
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) {
+    return patch;
+  }
+
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+// Cursors are opaque to clients: base64url JSON of the sort field, its value
+// on the last row of the previous page and that row's _id.
+function encodeCursor(doc, sort) {
+  const value = doc[sort] instanceof Date ? doc[sort].toISOString() : doc[sort];
+  const position = { s: sort, v: value, id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  if (!position || position.s !== sort || !ObjectId.isValid(position.id)) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  return {
+    value: sort === 'created_at' ? new Date(position.v) : position.v,
+    id: new ObjectId(position.id),
+  };
+}
+
 class OrganizationService {
   static async createOrganization(orgName, email, password) {
     const db = DatabaseManager.getInstance().getDb();
 
     // Validate input
     if (!orgName || !email || !password) {
-      throw new Error('Organization name, email, and password are required');
+      throw new ValidationError('Organization name, email, and password are required');
     }
 
     if (!validator.isEmail(email)) {
-      throw new Error('Invalid email format');
+      throw new ValidationError('Invalid email format');
     }
 
     if (password.length < 6) {
-      throw new Error('Password must be at least 6 characters');
+      throw new ValidationError('Password must be at least 6 characters');
     }
 
     // Check if organization already exists
@@ -29,80 +98,365 @@ class OrganizationService {
     });
 
     if (existing) {
-      throw new Error('Organization with this name already exists');
+      throw new ConflictError('Organization with this name already exists');
+    }
+
+    // Names that differ only in case or spacing, or that a renamed org used
+    // to have, derive a database name that is already taken: suffix it.
+    let dbName = DatabaseManager.getInstance().deriveOrgDbName(orgName);
+    if (await orgsCollection.findOne({ db_name: dbName })) {
+      dbName = `${dbName}_${crypto.randomBytes(3).toString('hex')}`;
     }
 
+    const adminCollection = db.collection(config.adminCollection);
+    if (await adminCollection.findOne({ admin_email: email })) {
+      throw new ConflictError('Admin with this email already exists');
+    }
+
+    const hashedPassword = await PasswordManager.hashPassword(password);
+
+    // Reserve the name first: the unique index on organization_name makes
+    // the pending record the lock for this provisioning attempt. The admin
+    // credentials are kept on it so a stuck attempt can be resumed.
+    const org = {
+      organization_name: orgName,
+      db_name: dbName,
+      admin_email: email,
+      admin_user_id: null,
+      created_at: new Date(),
+      is_active: false,
+      provisioning_status: 'pending',
+      provisioning_started_at: new Date(),
+      pending_admin: { email, password: hashedPassword },
+      plan: config.defaultPlan,
+    };
+
     try {
-      // Create organization database and collection
-      const { dbName, orgDb } = await DatabaseManager.getInstance().createOrgDatabase(orgName);
-
-      // Hash password
-      const hashedPassword = await PasswordManager.hashPassword(password);
-
-      // Create admin user in organization database
-      const usersCollection = orgDb.collection('users');
-      const userResult = await usersCollection.insertOne({
-        email,
-        password: hashedPassword,
-        role: 'org_admin',
-        created_at: new Date(),
-        is_active: true,
-      });
+      const result = await orgsCollection.insertOne(org);
+      org._id = result.insertedId;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Organization with this name already exists');
+      }
+      throw error;
+    }
 
-      // Store organization metadata in master database
-      const adminCollection = db.collection(config.adminCollection);
-      const adminResult = await adminCollection.insertOne({
-        admin_email: email,
-        password: hashedPassword,
-        role: 'org_admin',
-        organization_id: null,
-        organization_name: orgName,
-        created_at: new Date(),
-        is_active: true,
+    try {
+      await OrganizationService.provisionOrganization(org);
+    } catch (error) {
+      logger.error('Organization provisioning failed, rolling back', {
+        org: orgName,
+        message: error.message,
       });
+      await OrganizationService.rollbackProvisioning(org);
+      throw error;
+    }
 
-      const orgsResult = await orgsCollection.insertOne({
-        organization_name: orgName,
-        db_name: dbName,
-        admin_email: email,
-        admin_user_id: userResult.insertedId.toString(),
-        created_at: new Date(),
-        is_active: true,
-      });
+    await AuthService.sendVerificationEmail(org._id.toString(), email);
+    await WebhookService.emit('org.created', DatabaseManager.getInstance().tenantFor(org), {
+      admin_email: email,
+      plan: org.plan,
+    });
+
+    return {
+      id: org._id.toString(),
+      organization_name: orgName,
+      db_name: dbName,
+      admin_email: email,
+      email_verified: false,
+      created_at: org.created_at.toISOString(),
+      message: 'Organization created successfully',
+    };
+  }
+
+  // Runs the provisioning writes for a pending org record. Every step is
+  // idempotent so the same method completes a resumed attempt. With
+  // transaction support the user, admin and activation writes commit
+  // together; otherwise the caller compensates via rollbackProvisioning.
+  static async provisionOrganization(org) {
+    const dbManager = DatabaseManager.getInstance();
+    const db = dbManager.getDb();
+    const orgId = org._id.toString();
+    const { email, password } = org.pending_admin;
+
+    // Collections cannot be created inside a transaction on older servers,
+    // so the tenant schema is migrated beforehand. A resumed attempt skips
+    // the migrations that already ran.
+    const orgDb = dbManager.getClient().db(org.db_name);
+    await Migrator.up(orgDb, 'tenant');
+
+    const usersCollection = orgDb.collection('users');
+    const adminCollection = db.collection(config.adminCollection);
+    const orgsCollection = db.collection(config.masterCollection);
+
+    const writes = async (session) => {
+      const user = await usersCollection.findOneAndUpdate(
+        { email },
+        {
+          $setOnInsert: {
+            email,
+            password,
+            role: 'org_admin',
+            created_at: new Date(),
+            is_active: true,
+          },
+        },
+        { upsert: true, returnDocument: 'after', session }
+      );
 
-      // Update admin record with org ID
+      // Matching on organization_id as well means an email owned by another
+      // org fails on the unique index instead of being silently reused.
       await adminCollection.updateOne(
-        { _id: adminResult.insertedId },
-        { $set: { organization_id: orgsResult.insertedId.toString() } }
+        { admin_email: email, organization_id: orgId },
+        {
+          $setOnInsert: {
+            admin_email: email,
+            password,
+            role: 'org_admin',
+            organization_id: orgId,
+            organization_name: org.organization_name,
+            created_at: new Date(),
+            is_active: true,
+            email_verified: false,
+          },
+        },
+        { upsert: true, session }
       );
 
-      return {
-        id: orgsResult.insertedId.toString(),
-        organization_name: orgName,
-        db_name: dbName,
-        admin_email: email,
-        created_at: new Date().toISOString(),
-        message: 'Organization created successfully',
-      };
+      await orgsCollection.updateOne(
+        { _id: org._id },
+        {
+          $set: {
+            admin_user_id: user._id.toString(),
+            is_active: true,
+            provisioning_status: 'active',
+            provisioned_at: new Date(),
+          },
+          $unset: { pending_admin: '' },
+        },
+        { session }
+      );
+    };
+
+    if (await dbManager.supportsTransactions()) {
+      const session = dbManager.getClient().startSession();
+      try {
+        await session.withTransaction(() => writes(session));
+      } finally {
+        await session.endSession();
+      }
+    } else {
+      await writes();
+    }
+
+    logger.info('Organization provisioned', { org: org.organization_name });
+  }
+
+  // Compensating cleanup for a failed attempt. The org record goes last so
+  // the name stays reserved until everything it points at is gone; if the
+  // cleanup itself fails the record is left as 'failed' for a later retry.
+  static async rollbackProvisioning(org) {
+    const dbManager = DatabaseManager.getInstance();
+    const db = dbManager.getDb();
+    const orgsCollection = db.collection(config.masterCollection);
+
+    try {
+      await db
+        .collection(config.adminCollection)
+        .deleteMany({ organization_id: org._id.toString() });
+      await dbManager.deleteOrgDatabase(org.db_name);
+      await orgsCollection.deleteOne({
+        _id: org._id,
+        provisioning_status: { $in: ['pending', 'failed'] },
+      });
+      logger.info('Organization provisioning rolled back', { org: org.organization_name });
     } catch (error) {
-      throw new Error(`Failed to create organization: ${error.message}`);
+      logger.error('Provisioning rollback failed', {
+        org: org.organization_name,
+        message: error.message,
+      });
+      await orgsCollection
+        .updateOne(
+          { _id: org._id },
+          { $set: { provisioning_status: 'failed', provisioning_error: error.message } }
+        )
+        .catch(() => {});
+      throw error;
+    }
+  }
+
+  static async findStuckProvisioning(orgName) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!orgName) {
+      throw new ValidationError('Organization name is required');
+    }
+
+    const org = await db
+      .collection(config.masterCollection)
+      .findOne({ organization_name: orgName });
+
+    if (!org) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    if (!['pending', 'failed'].includes(org.provisioning_status)) {
+      throw new ConflictError('Organization is not awaiting provisioning');
+    }
+
+    // Leave fresh attempts alone: their request may still be running
+    const cutoff = Date.now() - config.provisioningTimeoutMinutes * 60 * 1000;
+    if (org.provisioning_status === 'pending' && org.provisioning_started_at > cutoff) {
+      throw new ConflictError('Provisioning is still in progress');
+    }
+
+    return org;
+  }
+
+  static async listStuckProvisioning() {
+    const db = DatabaseManager.getInstance().getDb();
+    const cutoff = new Date(Date.now() - config.provisioningTimeoutMinutes * 60 * 1000);
+
+    const orgs = await db
+      .collection(config.masterCollection)
+      .find({
+        $or: [
+          { provisioning_status: 'failed' },
+          { provisioning_status: 'pending', provisioning_started_at: { $lt: cutoff } },
+        ],
+      })
+      .toArray();
+
+    return {
+      organizations: orgs.map((org) => ({
+        id: org._id.toString(),
+        organization_name: org.organization_name,
+        provisioning_status: org.provisioning_status,
+        provisioning_started_at: org.provisioning_started_at.toISOString(),
+        provisioning_error: org.provisioning_error || null,
+      })),
+    };
+  }
+
+  static async resumeProvisioning(orgName) {
+    const org = await OrganizationService.findStuckProvisioning(orgName);
+
+    if (!org.pending_admin) {
+      throw new ConflictError('Provisioning cannot be resumed, clean it up instead');
     }
+
+    await OrganizationService.provisionOrganization(org);
+
+    await AuthService.sendVerificationEmail(org._id.toString(), org.pending_admin.email);
+    await WebhookService.emit('org.created', DatabaseManager.getInstance().tenantFor(org), {
+      admin_email: org.pending_admin.email,
+      plan: org.plan || config.defaultPlan,
+    });
+
+    return {
+      message: 'Organization provisioning completed',
+      organization_name: orgName,
+    };
+  }
+
+  static async cleanupProvisioning(orgName) {
+    const org = await OrganizationService.findStuckProvisioning(orgName);
+
+    await OrganizationService.rollbackProvisioning(org);
+
+    return {
+      message: 'Organization provisioning cleaned up',
+      organization_name: orgName,
+    };
   }
 
   static async getOrganization(orgName) {
     const db = DatabaseManager.getInstance().getDb();
 
     if (!orgName) {
-      throw new Error('Organization name is required');
+      throw new ValidationError('Organization name is required');
     }
 
     const orgsCollection = db.collection(config.masterCollection);
     const org = await orgsCollection.findOne({ organization_name: orgName });
 
     if (!org) {
-      throw new Error('Organization not found');
+      throw new NotFoundError('Organization not found');
+    }
+
+    return OrganizationService.formatOrganization(org);
+  }
+
+  // Keyset pagination: the cursor holds the sort value and _id of the last
+  // row served, so pages stay stable while organizations are being created.
+  static async listOrganizations({
+    limit = 20,
+    cursor,
+    search,
+    is_active: isActive,
+    created_from: createdFrom,
+    created_to: createdTo,
+    include_deleted: includeDeleted = false,
+    sort = 'created_at',
+    order = 'desc',
+  } = {}) {
+    const db = DatabaseManager.getInstance().getDb();
+    const orgsCollection = db.collection(config.masterCollection);
+
+    const filter = {};
+    if (search) {
+      filter.organization_name = { $regex: `^${escapeRegExp(search)}`, $options: 'i' };
+    }
+    if (isActive !== undefined) {
+      filter.is_active = isActive;
+    }
+    if (createdFrom || createdTo) {
+      filter.created_at = {};
+      if (createdFrom) filter.created_at.$gte = createdFrom;
+      if (createdTo) filter.created_at.$lte = createdTo;
+    }
+    if (!includeDeleted) {
+      filter.deleted_at = { $exists: false };
+    }
+
+    const direction = order === 'asc' ? 1 : -1;
+    const pageFilter = { ...filter };
+
+    if (cursor) {
+      const position = decodeCursor(cursor, sort);
+      const op = direction === 1 ? '$gt' : '$lt';
+      pageFilter.$and = [
+        {
+          $or: [
+            { [sort]: { [op]: position.value } },
+            { [sort]: position.value, _id: { [op]: position.id } },
+          ],
+        },
+      ];
     }
 
+    const [orgs, total] = await Promise.all([
+      orgsCollection
+        .find(pageFilter)
+        .sort({ [sort]: direction, _id: direction })
+        .limit(limit + 1)
+        .toArray(),
+      orgsCollection.countDocuments(filter),
+    ]);
+
+    const hasMore = orgs.length > limit;
+    const page = hasMore ? orgs.slice(0, limit) : orgs;
+    const last = page[page.length - 1];
+
+    return {
+      organizations: page.map(OrganizationService.formatOrganization),
+      total,
+      limit,
+      next_cursor: hasMore ? encodeCursor(last, sort) : null,
+    };
+  }
+
+  static formatOrganization(org) {
     return {
       id: org._id.toString(),
       organization_name: org.organization_name,
@@ -110,193 +464,2301 @@ class OrganizationService {
       admin_email: org.admin_email,
       created_at: org.created_at.toISOString(),
       is_active: org.is_active,
+      provisioning_status: org.provisioning_status || 'active',
+      pending_deletion: Boolean(org.deleted_at),
+      deleted_at: org.deleted_at ? org.deleted_at.toISOString() : null,
+      purge_after: org.purge_after ? org.purge_after.toISOString() : null,
+      mfa_required: Boolean(org.mfa_required),
+      plan: org.plan || config.defaultPlan,
     };
   }
 
-  static async updateOrganization(orgName, email, password) {
-    const db = DatabaseManager.getInstance().getDb();
-
-    if (!orgName || !email || !password) {
-      throw new Error('Organization name, email, and password are required');
-    }
+  // Renames only touch master records: the tenant database keeps the name it
+  // was created with and stays reachable through the stored db_name. Tokens
+  // pick up the new name on their next refresh.
+  static async renameOrganization(tenant, newName) {
+    const dbManager = DatabaseManager.getInstance();
+    const db = dbManager.getDb();
 
-    if (!validator.isEmail(email)) {
-      throw new Error('Invalid email format');
+    if (!newName) {
+      throw new ValidationError('New name is required');
     }
 
     const orgsCollection = db.collection(config.masterCollection);
-    const org = await orgsCollection.findOne({ organization_name: orgName });
+    const org = await orgsCollection.findOne({ _id: new ObjectId(tenant.id) });
 
     if (!org) {
-      throw new Error('Organization not found');
+      throw new NotFoundError('Organization not found');
     }
 
-    try {
-      const hashedPassword = await PasswordManager.hashPassword(password);
+    const orgName = org.organization_name;
+    if (orgName === newName) {
+      throw new ValidationError('New name must differ from the current name');
+    }
 
-      // Update in master database
-      const adminCollection = db.collection(config.adminCollection);
-      await adminCollection.updateOne(
-        { organization_id: org._id.toString() },
-        {
-          $set: {
-            admin_email: email,
-            password: hashedPassword,
-          },
-        }
-      );
+    if (org.deleted_at) {
+      throw new ForbiddenError('Organization is pending deletion', {
+        code: 'ORG_PENDING_DELETION',
+      });
+    }
+
+    if (await orgsCollection.findOne({ organization_name: newName })) {
+      throw new ConflictError('Organization with this name already exists');
+    }
 
-      // Update in organization database
-      const orgDb = await DatabaseManager.getInstance().getOrgDb(orgName);
-      const usersCollection = orgDb.collection('users');
-      await usersCollection.updateOne(
-        { role: 'admin' },
+    const renamedAt = new Date();
+    try {
+      await orgsCollection.updateOne(
+        { _id: org._id },
         {
           $set: {
-            email,
-            password: hashedPassword,
-            updated_at: new Date(),
+            organization_name: newName,
+            // Pin legacy records to the database derived from the old name
+            db_name: org.db_name || dbManager.deriveOrgDbName(orgName),
+            updated_at: renamedAt,
           },
+          $push: { previous_names: { name: orgName, renamed_at: renamedAt } },
         }
       );
-
-      return {
-        message: 'Organization updated successfully',
-        organization_name: orgName,
-      };
     } catch (error) {
-      throw new Error(`Failed to update organization: ${error.message}`);
+      if (error.code === 11000) {
+        throw new ConflictError('Organization with this name already exists');
+      }
+      throw error;
     }
+
+    await db
+      .collection(config.adminCollection)
+      .updateMany(
+        { organization_id: org._id.toString() },
+        { $set: { organization_name: newName } }
+      );
+
+    logger.info('Organization renamed', { from: orgName, to: newName });
+    await WebhookService.emit(
+      'org.updated',
+      dbManager.tenantFor({ ...org, organization_name: newName }),
+      { changes: { organization_name: newName }, previous_name: orgName }
+    );
+
+    return {
+      message: 'Organization renamed successfully',
+      organization_name: newName,
+      previous_name: orgName,
+      db_name: org.db_name || dbManager.deriveOrgDbName(orgName),
+    };
   }
 
-  static async deleteOrganization(orgName, adminId) {
+  // With MFA required, admins without it enrolled are walked through
+  // enrollment at their next login before they get any tokens.
+  static async setMfaPolicy(tenant, required) {
     const db = DatabaseManager.getInstance().getDb();
 
-    if (!orgName) {
-      throw new Error('Organization name is required');
-    }
-
-    const orgsCollection = db.collection(config.masterCollection);
-    const org = await orgsCollection.findOne({ organization_name: orgName });
+    const org = await db
+      .collection(config.masterCollection)
+      .findOneAndUpdate(
+        { _id: new ObjectId(tenant.id), deleted_at: null },
+        { $set: { mfa_required: required, updated_at: new Date() } },
+        { returnDocument: 'after' }
+      );
 
     if (!org) {
-      throw new Error('Organization not found');
+      throw new NotFoundError('Organization not found');
     }
 
-    // Verify admin ownership (optional: can skip for simplicity)
-    try {
-      // Delete from master database
-      await orgsCollection.deleteOne({ organization_name: orgName });
-
-      const adminCollection = db.collection(config.adminCollection);
-      await adminCollection.deleteOne({ organization_id: org._id.toString() });
-
-      // Delete organization database
-      await DatabaseManager.getInstance().deleteOrgDatabase(orgName);
+    logger.info('Organization MFA policy changed', { org: org.organization_name, required });
+    await WebhookService.emit('org.updated', DatabaseManager.getInstance().tenantFor(org), {
+      changes: { mfa_required: required },
+    });
 
-      return {
-        message: 'Organization deleted successfully',
-        organization_name: orgName,
-      };
-    } catch (error) {
-      throw new Error(`Failed to delete organization: ${error.message}`);
-    }
+    return {
+      message: 'MFA policy updated',
+      organization_name: org.organization_name,
+      mfa_required: required,
+    };
   }
-}
 
-class AuthService {
-  static async adminLogin(email, password) {
+  static async updateOrganization(tenant, email, password) {
     const db = DatabaseManager.getInstance().getDb();
 
     if (!email || !password) {
-      throw new Error('Email and password are required');
+      throw new ValidationError('Email and password are required');
     }
 
-    const adminCollection = db.collection(config.adminCollection);
-    const admin = await adminCollection.findOne({ admin_email: email });
+    if (!validator.isEmail(email)) {
+      throw new ValidationError('Invalid email format');
+    }
 
-    if (!admin) {
-      throw new Error('Invalid credentials');
+    const orgsCollection = db.collection(config.masterCollection);
+    const org = await orgsCollection.findOne({ _id: new ObjectId(tenant.id) });
+
+    if (!org) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    if (org.deleted_at) {
+      throw new ForbiddenError('Organization is pending deletion', {
+        code: 'ORG_PENDING_DELETION',
+      });
     }
 
-    const isPasswordValid = await PasswordManager.verifyPassword(password, admin.password);
+    const hashedPassword = await PasswordManager.hashPassword(password);
 
-    if (!isPasswordValid) {
-      throw new Error('Invalid credentials');
+    // Update in master database. Admins provisioned through SSO share the
+    // organization_id, so the owner is the one with the org's admin email.
+    const adminCollection = db.collection(config.adminCollection);
+    const admin = await adminCollection.findOne({
+      organization_id: org._id.toString(),
+      admin_email: org.admin_email,
+    });
+    if (!admin) {
+      throw new NotFoundError('Organization admin not found');
     }
+    const emailChanged = admin.admin_email !== email;
 
-    const accessToken = TokenManager.createAccessToken(
-      admin._id.toString(),
-      admin.organization_id,
-      admin.organization_name,
-      admin.role
-    );
+    // A new address has to be verified again before it can be used
+    const update = { admin_email: email, password: hashedPassword };
+    if (emailChanged) {
+      update.email_verified = false;
+      update.email_verified_at = null;
+    }
 
-    const refreshToken = TokenManager.createRefreshToken(
-      admin._id.toString(),
-      admin.organization_id
-    );
+    const result = await adminCollection.updateOne({ _id: admin._id }, { $set: update });
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('Organization admin not found');
+    }
+    if (emailChanged) {
+      await orgsCollection.updateOne(
+        { _id: org._id },
+        { $set: { admin_email: email, updated_at: new Date() } }
+      );
+    }
 
-    // Store hashed refresh token
-    const hashedRefresh = TokenManager.hashToken(refreshToken);
-    await adminCollection.updateOne(
-      { _id: admin._id },
-      { $set: { refresh_token_hash: hashedRefresh, refresh_token_issued_at: new Date() } }
+    if (emailChanged) {
+      await AuthService.sendVerificationEmail(org._id.toString(), email);
+    }
+
+    // The owner's tenant user signs in through /org/users/login with the
+    // same credentials, so it must not keep the old ones
+    const usersCollection = DatabaseManager.getInstance().tenantFor(org).db.collection('users');
+    await usersCollection.updateOne(
+      { _id: new ObjectId(org.admin_user_id) },
+      {
+        $set: {
+          email,
+          password: hashedPassword,
+          updated_at: new Date(),
+        },
+      }
     );
 
-    logger.info('Admin login successful', { admin_id: admin._id, org_name: admin.organization_name });
+    await WebhookService.emit('org.updated', DatabaseManager.getInstance().tenantFor(org), {
+      changes: { admin_email: email },
+      password_changed: true,
+    });
 
     return {
-      access_token: accessToken,
-      refresh_token: refreshToken,
-      token_type: 'bearer',
-      expires_in: 15 * 60,
-      admin_id: admin._id.toString(),
-      organization_id: admin.organization_id,
-      organization_name: admin.organization_name,
+      message: 'Organization updated successfully',
+      organization_name: org.organization_name,
     };
   }
 
-  static async refreshAccessToken(adminId, refreshToken) {
+  // Deletion is soft: the org is flagged and locked out, and its data is
+  // only dropped by purgeDeletedOrganizations once the retention window
+  // has passed, so a mistaken delete can still be undone with restore.
+  static async deleteOrganization(tenant, adminId) {
     const db = DatabaseManager.getInstance().getDb();
 
-    try {
-      const decoded = TokenManager.verifyToken(refreshToken);
-      if (decoded.type !== 'refresh') {
-        throw new Error('Invalid refresh token type');
-      }
+    const orgsCollection = db.collection(config.masterCollection);
+    const org = await orgsCollection.findOne({ _id: new ObjectId(tenant.id) });
 
-      const adminCollection = db.collection(config.adminCollection);
-      const admin = await adminCollection.findOne({ _id: new ObjectId(adminId) });
+    if (!org) {
+      throw new NotFoundError('Organization not found');
+    }
 
-      if (!admin) {
-        throw new Error('Admin not found');
-      }
+    if (org.deleted_at) {
+      throw new ConflictError('Organization is already pending deletion');
+    }
 
-      const hashedToken = TokenManager.hashToken(refreshToken);
-      if (admin.refresh_token_hash !== hashedToken) {
-        throw new Error('Refresh token mismatch');
-      }
+    const deletedAt = new Date();
+    const purgeAfter = new Date(
+      deletedAt.getTime() + config.orgRetentionDays * 24 * 60 * 60 * 1000
+    );
 
-      const newAccessToken = TokenManager.createAccessToken(
-        admin._id.toString(),
-        admin.organization_id,
-        admin.organization_name,
-        admin.role
-      );
+    await orgsCollection.updateOne(
+      { _id: org._id },
+      { $set: { deleted_at: deletedAt, deleted_by: adminId, purge_after: purgeAfter } }
+    );
 
-      logger.info('Token refreshed', { admin_id: adminId });
+    await WebhookService.emit('org.deleted', DatabaseManager.getInstance().tenantFor(org), {
+      deleted_at: deletedAt.toISOString(),
+      purge_after: purgeAfter.toISOString(),
+    });
+
+    return {
+      message: 'Organization deleted successfully',
+      organization_name: org.organization_name,
+      deleted_at: deletedAt.toISOString(),
+      purge_after: purgeAfter.toISOString(),
+    };
+  }
+
+  static async restoreOrganization(tenant) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    const orgsCollection = db.collection(config.masterCollection);
+    const org = await orgsCollection.findOne({ _id: new ObjectId(tenant.id) });
+
+    if (!org) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    if (!org.deleted_at) {
+      throw new ConflictError('Organization is not pending deletion');
+    }
+
+    if (org.purge_after <= new Date()) {
+      throw new GoneError('Retention period has expired, organization can no longer be restored');
+    }
+
+    await orgsCollection.updateOne(
+      { _id: org._id },
+      { $unset: { deleted_at: '', deleted_by: '', purge_after: '' } }
+    );
+
+    await WebhookService.emit('org.restored', DatabaseManager.getInstance().tenantFor(org));
+
+    return {
+      message: 'Organization restored successfully',
+      organization_name: org.organization_name,
+    };
+  }
+
+  // Hard-deletes every org whose retention window has expired. The master
+  // record is removed last so a purge interrupted midway is picked up again
+  // by the next run.
+  static async purgeDeletedOrganizations() {
+    const dbManager = DatabaseManager.getInstance();
+    const db = dbManager.getDb();
+    const orgsCollection = db.collection(config.masterCollection);
+    const adminCollection = db.collection(config.adminCollection);
+
+    const expired = await orgsCollection
+      .find({ deleted_at: { $exists: true }, purge_after: { $lte: new Date() } })
+      .toArray();
+
+    const purged = [];
+    for (const org of expired) {
+      try {
+        const orgId = org._id.toString();
+        await dbManager.deleteOrgDatabase(
+          org.db_name || dbManager.deriveOrgDbName(org.organization_name)
+        );
+
+        const admins = await adminCollection.find({ organization_id: orgId }).toArray();
+        await db.collection(config.sessionCollection).deleteMany({
+          admin_id: { $in: admins.map((admin) => admin._id.toString()) },
+        });
+        await adminCollection.deleteMany({ organization_id: orgId });
+        await db
+          .collection(config.settingsHistoryCollection)
+          .deleteMany({ organization_id: orgId });
+        await db.collection(config.apiKeyCollection).deleteMany({ organization_id: orgId });
+        await db.collection(config.invitationCollection).deleteMany({ organization_id: orgId });
+        await WebhookService.deleteOrganizationWebhooks(orgId);
+
+        await orgsCollection.deleteOne({ _id: org._id });
+        purged.push(org.organization_name);
+        logger.info('Organization purged', { org: org.organization_name });
+        // Only platform webhooks are left to hear about it
+        await WebhookService.emit('org.purged', dbManager.tenantFor(org));
+      } catch (error) {
+        logger.error('Organization purge failed', {
+          org: org.organization_name,
+          message: error.message,
+        });
+      }
+    }
+
+    return {
+      message: 'Purge completed',
+      purged,
+      failed: expired.length - purged.length,
+    };
+  }
+}
+
+// Stored settings only hold what an org has set; these fill in the rest
+const SETTINGS_DEFAULTS = {
+  timezone: 'UTC',
+  locale: 'en-US',
+  features: {},
+};
+
+// How often a patch is retried when another write bumped the version first
+const MAX_SETTINGS_ATTEMPTS = 5;
+
+// Each organization has one settings document on its master record, with a
+// version that every change increments. The patch and the resulting
+// document of every version are kept in the settings history collection.
+class SettingsService {
+  static getHistoryCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.settingsHistoryCollection);
+  }
+
+  static async findOrg(orgId) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!ObjectId.isValid(orgId)) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    const org = await db.collection(config.masterCollection).findOne({ _id: new ObjectId(orgId) });
+    if (!org) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    return org;
+  }
+
+  static formatSettings(org) {
+    return {
+      organization_id: org._id.toString(),
+      version: org.settings_version || 0,
+      settings: applyMergePatch(SETTINGS_DEFAULTS, org.settings || {}),
+      updated_at: org.settings_updated_at ? org.settings_updated_at.toISOString() : null,
+      updated_by: org.settings_updated_by || null,
+    };
+  }
+
+  static async getSettings(tenant) {
+    return SettingsService.formatSettings(await SettingsService.findOrg(tenant.id));
+  }
+
+  // Applies a merge patch to the stored settings. The write is conditional
+  // on the version that was read: with `expectedVersion` (from If-Match) a
+  // concurrent change is reported, otherwise the patch is reapplied on top.
+  static async updateSettings(tenant, patch, { expectedVersion, updatedBy } = {}) {
+    const db = DatabaseManager.getInstance().getDb();
+    const orgId = tenant.id;
+    const orgsCollection = db.collection(config.masterCollection);
+
+    for (let attempt = 0; attempt < MAX_SETTINGS_ATTEMPTS; attempt++) {
+      const org = await SettingsService.findOrg(orgId);
+      const version = org.settings_version || 0;
+
+      if (expectedVersion !== undefined && expectedVersion !== version) {
+        throw new PreconditionFailedError(
+          `Settings version mismatch: current version is ${version}`
+        );
+      }
+
+      const settings = applyMergePatch(org.settings || {}, patch);
+      const { error } = orgSettingsSchema.validate(settings);
+      if (error) {
+        throw new ValidationError(`Invalid settings: ${error.message}`);
+      }
+
+      const now = new Date();
+      const $set = {
+        settings,
+        settings_version: version + 1,
+        settings_updated_at: now,
+        settings_updated_by: updatedBy || null,
+      };
+
+      const result = await orgsCollection.updateOne(
+        { _id: org._id, settings_version: org.settings_version ?? { $exists: false } },
+        { $set }
+      );
+
+      if (result.matchedCount === 0) {
+        continue;
+      }
+
+      try {
+        await SettingsService.getHistoryCollection().insertOne({
+          organization_id: orgId,
+          version: version + 1,
+          patch,
+          settings,
+          updated_by: updatedBy || null,
+          updated_at: now,
+        });
+      } catch (historyError) {
+        logger.error('Failed to record settings history', {
+          org_id: orgId,
+          version: version + 1,
+          message: historyError.message,
+        });
+      }
+
+      logger.info('Organization settings updated', { org_id: orgId, version: version + 1 });
+
+      return SettingsService.formatSettings({ ...org, ...$set });
+    }
+
+    throw new ConflictError('Settings version mismatch: too many concurrent updates');
+  }
+
+  static async listHistory(tenant, limit = 20) {
+    const versions = await SettingsService.getHistoryCollection()
+      .find({ organization_id: tenant.id })
+      .sort({ version: -1 })
+      .limit(limit)
+      .toArray();
+
+    return {
+      versions: versions.map((entry) => ({
+        version: entry.version,
+        patch: entry.patch,
+        settings: applyMergePatch(SETTINGS_DEFAULTS, entry.settings),
+        updated_by: entry.updated_by,
+        updated_at: entry.updated_at.toISOString(),
+      })),
+    };
+  }
+}
+
+// Plans change rarely and are read on every tenant request
+const PLAN_CACHE_TTL_MS = 60 * 1000;
+const planCache = new Map();
+
+const QUOTA_LABELS = {
+  max_users: 'users (including pending invitations)',
+  max_api_keys: 'active API keys',
+  max_storage_bytes: 'bytes of storage',
+};
+
+// Plans are stored by name in the master DB and define an organization's
+// limits (see plans.js). Orgs without a plan are on config.defaultPlan.
+// Limits are checked before the write that would exceed them; lowering a
+// plan never removes existing data, it only blocks further growth.
+class PlanService {
+  static getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.planCollection);
+  }
+
+  static formatPlan(plan) {
+    return {
+      name: plan.name,
+      description: plan.description || null,
+      limits: Object.fromEntries(PLAN_LIMITS.map((limit) => [limit, plan.limits?.[limit] ?? null])),
+    };
+  }
+
+  static async listPlans() {
+    const plans = await PlanService.getCollection().find({}).sort({ name: 1 }).toArray();
+    return { plans: plans.map(PlanService.formatPlan) };
+  }
+
+  // Default tiers also resolve before the default-plans migration has run
+  static async getPlan(name) {
+    const cached = planCache.get(name);
+    if (cached && cached.expires > Date.now()) {
+      return cached.plan;
+    }
+
+    const stored = await PlanService.getCollection().findOne({ name });
+    if (!stored && !DEFAULT_PLANS[name]) {
+      throw new NotFoundError('Plan not found');
+    }
+
+    const plan = PlanService.formatPlan(stored || { name, ...DEFAULT_PLANS[name] });
+    planCache.set(name, { plan, expires: Date.now() + PLAN_CACHE_TTL_MS });
+    return plan;
+  }
+
+  static async countUsers(tenant) {
+    return tenant.db.collection('users').countDocuments({});
+  }
+
+  // Pending invitations hold a seat so that accepting one never fails
+  static async countPendingInvitations(tenant) {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.invitationCollection).countDocuments({
+      organization_id: tenant.id,
+      status: 'pending',
+      expires_at: { $gt: new Date() },
+    });
+  }
+
+  static async countApiKeys(tenant) {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.apiKeyCollection).countDocuments({
+      organization_id: tenant.id,
+      revoked_at: null,
+      $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }],
+    });
+  }
+
+  static async measureStorage(tenant) {
+    const stats = await tenant.db.command({ dbStats: 1 });
+    return stats.storageSize + stats.indexSize;
+  }
+
+  static async measure(tenant, limit) {
+    switch (limit) {
+      case 'max_users': {
+        const users = await PlanService.countUsers(tenant);
+        return users + (await PlanService.countPendingInvitations(tenant));
+      }
+      case 'max_api_keys':
+        return PlanService.countApiKeys(tenant);
+      case 'max_storage_bytes':
+        return PlanService.measureStorage(tenant);
+      default:
+        throw new Error(`Unknown plan limit: ${limit}`);
+    }
+  }
+
+  // Throws before a write that would take the org past a limit of its plan
+  static async assertQuota(tenant, limit) {
+    const plan = await PlanService.getPlan(tenant.plan);
+    const max = plan.limits[limit];
+
+    if (max === null) {
+      return;
+    }
+
+    if ((await PlanService.measure(tenant, limit)) >= max) {
+      throw new ForbiddenError(
+        `Quota exceeded: the ${plan.name} plan allows ${max} ${QUOTA_LABELS[limit]}`,
+        { code: 'QUOTA_EXCEEDED' }
+      );
+    }
+  }
+
+  // `requestsThisMinute` is the count the plan limiter saw for this request
+  static async getUsage(tenant, { requestsThisMinute = null } = {}) {
+    const plan = await PlanService.getPlan(tenant.plan);
+
+    const [users, pendingInvitations, apiKeys, storageBytes] = await Promise.all([
+      PlanService.countUsers(tenant),
+      PlanService.countPendingInvitations(tenant),
+      PlanService.countApiKeys(tenant),
+      PlanService.measureStorage(tenant),
+    ]);
+
+    return {
+      organization_id: tenant.id,
+      organization_name: tenant.name,
+      plan: plan.name,
+      usage: {
+        users: {
+          used: users,
+          pending_invitations: pendingInvitations,
+          limit: plan.limits.max_users,
+        },
+        api_keys: { used: apiKeys, limit: plan.limits.max_api_keys },
+        storage_bytes: { used: storageBytes, limit: plan.limits.max_storage_bytes },
+        requests_per_minute: {
+          used: requestsThisMinute,
+          limit: plan.limits.requests_per_minute,
+        },
+      },
+    };
+  }
+
+  static async assignPlan(orgName, planName) {
+    const db = DatabaseManager.getInstance().getDb();
+    const plan = await PlanService.getPlan(planName);
+
+    const org = await db
+      .collection(config.masterCollection)
+      .findOneAndUpdate(
+        { organization_name: orgName },
+        { $set: { plan: plan.name, updated_at: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+    if (!org) {
+      throw new NotFoundError('Organization not found');
+    }
+
+    logger.info('Organization plan changed', { org: orgName, plan: plan.name });
+
+    // Report what is already past the new limits; nothing is removed
+    const usage = await PlanService.getUsage(DatabaseManager.getInstance().tenantFor(org));
+    const overLimit = Object.entries(usage.usage)
+      .filter(([, { used, limit }]) => limit !== null && used !== null && used > limit)
+      .map(([name]) => name);
+
+    return {
+      message: 'Plan updated',
+      organization_name: orgName,
+      plan,
+      over_limit: overLimit,
+    };
+  }
+}
+
+// Sessions live as long as the refresh token issued with them
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+class SessionService {
+  static getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.sessionCollection);
+  }
+
+  static formatSession(session, currentSessionId) {
+    return {
+      id: session._id.toString(),
+      device: session.device,
+      ip: session.ip,
+      user_agent: session.user_agent,
+      created_at: session.created_at.toISOString(),
+      last_used_at: session.last_used_at.toISOString(),
+      expires_at: session.expires_at.toISOString(),
+      current: session._id.toString() === currentSessionId,
+    };
+  }
+
+  // The session id doubles as the refresh token family: every token rotated
+  // out of this login carries it, so one lookup finds the live hash.
+  static async createSession(admin, { ip, userAgent, device } = {}) {
+    const sessionId = new ObjectId();
+    const refreshToken = TokenManager.createRefreshToken(
+      admin._id.toString(),
+      admin.organization_id,
+      sessionId.toString()
+    );
+
+    const now = new Date();
+    await SessionService.getCollection().insertOne({
+      _id: sessionId,
+      admin_id: admin._id.toString(),
+      refresh_token_hash: TokenManager.hashToken(refreshToken),
+      device: device || null,
+      ip: ip || null,
+      user_agent: userAgent || null,
+      created_at: now,
+      last_used_at: now,
+      expires_at: new Date(now.getTime() + SESSION_TTL_MS),
+    });
+
+    return { sessionId: sessionId.toString(), refreshToken };
+  }
+
+  static async listSessions(adminId, currentSessionId) {
+    const sessions = await SessionService.getCollection()
+      .find({ admin_id: adminId, expires_at: { $gt: new Date() } })
+      .sort({ last_used_at: -1 })
+      .toArray();
+
+    return {
+      sessions: sessions.map((session) =>
+        SessionService.formatSession(session, currentSessionId)
+      ),
+    };
+  }
+
+  static async revokeSession(adminId, sessionId) {
+    if (!ObjectId.isValid(sessionId)) {
+      throw new NotFoundError('Session not found');
+    }
+
+    const result = await SessionService.getCollection().deleteOne({
+      _id: new ObjectId(sessionId),
+      admin_id: adminId,
+    });
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('Session not found');
+    }
+
+    logger.info('Session revoked', { admin_id: adminId, session_id: sessionId });
+
+    return { message: 'Session revoked successfully', id: sessionId };
+  }
+
+  static async revokeAllSessions(adminId) {
+    const result = await SessionService.getCollection().deleteMany({ admin_id: adminId });
+    return result.deletedCount;
+  }
+}
+
+// How stale last_used_at may get before a request writes it again; keeps
+// busy integrations from turning every call into a write
+const API_KEY_USAGE_RESOLUTION_MS = 60 * 1000;
+
+// Keys look like `ak_<8 hex>_<secret>`. The part before the second
+// underscore is stored in the clear to tell keys apart in listings; the
+// full key is only kept as a SHA-256 hash, which is enough for a random
+// 256-bit secret.
+class ApiKeyService {
+  static getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.apiKeyCollection);
+  }
+
+  static formatKey(key) {
+    return {
+      id: key._id.toString(),
+      name: key.name,
+      prefix: key.key_prefix,
+      scopes: key.scopes,
+      created_by: key.created_by,
+      created_at: key.created_at.toISOString(),
+      expires_at: key.expires_at ? key.expires_at.toISOString() : null,
+      last_used_at: key.last_used_at ? key.last_used_at.toISOString() : null,
+    };
+  }
+
+  static async createKey(tenant, createdBy, { name, scopes = null, expiresAt = null }) {
+    await PlanService.assertQuota(tenant, 'max_api_keys');
+
+    const prefix = `ak_${crypto.randomBytes(4).toString('hex')}`;
+    const rawKey = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const key = {
+      organization_id: tenant.id,
+      name,
+      key_prefix: prefix,
+      key_hash: TokenManager.hashToken(rawKey),
+      scopes,
+      created_by: createdBy,
+      created_at: new Date(),
+      expires_at: expiresAt,
+      last_used_at: null,
+      revoked_at: null,
+    };
+
+    const result = await ApiKeyService.getCollection().insertOne(key);
+    key._id = result.insertedId;
+
+    logger.info('API key created', { org_id: tenant.id, key_id: key._id, prefix });
+
+    // The only time the full key is returned
+    return {
+      ...ApiKeyService.formatKey(key),
+      key: rawKey,
+    };
+  }
+
+  static async listKeys(tenant) {
+    const keys = await ApiKeyService.getCollection()
+      .find({ organization_id: tenant.id, revoked_at: null })
+      .sort({ created_at: -1 })
+      .toArray();
+
+    return { api_keys: keys.map(ApiKeyService.formatKey) };
+  }
+
+  static async revokeKey(tenant, keyId) {
+    if (!ObjectId.isValid(keyId)) {
+      throw new NotFoundError('API key not found');
+    }
+
+    const result = await ApiKeyService.getCollection().updateOne(
+      { _id: new ObjectId(keyId), organization_id: tenant.id, revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new NotFoundError('API key not found');
+    }
+
+    logger.info('API key revoked', { org_id: tenant.id, key_id: keyId });
+
+    return { message: 'API key revoked', id: keyId };
+  }
+
+  // Resolves a presented key to the same claims an org admin's access token
+  // carries. The org name is read fresh so keys keep working across renames.
+  static async authenticate(rawKey) {
+    const now = new Date();
+    const key = await ApiKeyService.getCollection().findOne({
+      key_hash: TokenManager.hashToken(rawKey),
+      revoked_at: null,
+    });
+
+    if (!key || (key.expires_at && key.expires_at <= now)) {
+      throw new AuthError('Invalid or expired API key', { code: 'INVALID_API_KEY' });
+    }
+
+    const db = DatabaseManager.getInstance().getDb();
+    const org = await db
+      .collection(config.masterCollection)
+      .findOne({ _id: new ObjectId(key.organization_id) }, { projection: { organization_name: 1 } });
+
+    if (!org) {
+      throw new AuthError('Invalid or expired API key', { code: 'INVALID_API_KEY' });
+    }
+
+    await ApiKeyService.getCollection().updateOne(
+      {
+        _id: key._id,
+        $or: [
+          { last_used_at: null },
+          { last_used_at: { $lt: new Date(now.getTime() - API_KEY_USAGE_RESOLUTION_MS) } },
+        ],
+      },
+      { $set: { last_used_at: now } }
+    );
+
+    return {
+      sub: key._id.toString(),
+      org_id: key.organization_id,
+      org_name: org.organization_name,
+      role: 'org_admin',
+      principal: 'api_key',
+      scopes: key.scopes,
+    };
+  }
+}
+
+// bcrypt hash of a throwaway value, compared against when the email is unknown
+const TIMING_DUMMY_HASH = '$2a$12$h6ykogKLguI.vPZV8OJwFO.jrhtnJ9XqgdnmgzwSFdcmy9jsWA8Nu';
+
+// Failed logins are counted per email, whether or not an admin has it.
+// Reaching the threshold locks the email; each further lock lasts twice as
+// long as the previous one, up to the configured maximum. A successful
+// login or a super admin's unlock resets the record.
+class LoginAttemptService {
+  static getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.loginAttemptCollection);
+  }
+
+  static normalize(email) {
+    return email.trim().toLowerCase();
+  }
+
+  static lockDurationMs(lockCount) {
+    const minutes = Math.min(
+      config.loginLockoutBaseMinutes * 2 ** lockCount,
+      config.loginLockoutMaxMinutes
+    );
+    return minutes * 60 * 1000;
+  }
+
+  static async isLocked(email) {
+    const record = await LoginAttemptService.getCollection().findOne({
+      email: LoginAttemptService.normalize(email),
+      locked_until: { $gt: new Date() },
+    });
+    return Boolean(record);
+  }
+
+  static async recordFailure(email) {
+    const attemptCollection = LoginAttemptService.getCollection();
+    const normalized = LoginAttemptService.normalize(email);
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.loginAttemptRetentionHours * 60 * 60 * 1000);
+
+    const record = await attemptCollection.findOneAndUpdate(
+      { email: normalized },
+      {
+        $inc: { failed_count: 1 },
+        $set: { last_failed_at: now, expires_at: expiresAt },
+        $setOnInsert: { lock_count: 0, locked_until: null },
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    if (record.failed_count < config.loginMaxAttempts) {
+      return;
+    }
+
+    // Conditional on the count so concurrent failures lock only once
+    const lockedUntil = new Date(now.getTime() + LoginAttemptService.lockDurationMs(record.lock_count));
+    const result = await attemptCollection.updateOne(
+      { email: normalized, failed_count: { $gte: config.loginMaxAttempts } },
+      {
+        $set: { failed_count: 0, locked_until: lockedUntil },
+        $inc: { lock_count: 1 },
+        $max: { expires_at: lockedUntil },
+      }
+    );
+
+    if (result.modifiedCount === 1) {
+      logger.warn('Account locked after repeated failed logins', {
+        email: normalized,
+        locked_until: lockedUntil.toISOString(),
+      });
+      await LoginAttemptService.recordEvent('admin.lock', normalized);
+    }
+  }
+
+  static async clear(email) {
+    await LoginAttemptService.getCollection().deleteOne({
+      email: LoginAttemptService.normalize(email),
+    });
+  }
+
+  static async unlock(email) {
+    const normalized = LoginAttemptService.normalize(email);
+    const result = await LoginAttemptService.getCollection().deleteOne({ email: normalized });
+
+    logger.info('Account unlocked', { email: normalized });
+
+    return {
+      message: result.deletedCount ? 'Account unlocked' : 'Account was not locked',
+      email: normalized,
+    };
+  }
+
+  // Locks happen outside any route's audit middleware, so they are
+  // recorded here. A failed write must not turn into a failed login.
+  static async recordEvent(action, email) {
+    try {
+      await AuditService.record({
+        action,
+        outcome: 'success',
+        actor: { type: 'system' },
+        target: email,
+      });
+    } catch (error) {
+      logger.error('Failed to write audit entry', { action, message: error.message });
+    }
+  }
+}
+
+// Recovery codes are random and shown once, so a plain SHA-256 is enough to
+// store them; dashes and case are ignored when they are typed back in.
+function generateRecoveryCodes() {
+  return Array.from({ length: config.mfaRecoveryCodeCount }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+function hashRecoveryCode(code) {
+  return TokenManager.hashToken(code.replace(/-/g, '').toLowerCase());
+}
+
+class MfaService {
+  static getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.adminCollection);
+  }
+
+  static async findAdmin(adminId) {
+    if (!ObjectId.isValid(adminId)) {
+      throw new NotFoundError('Admin not found');
+    }
+
+    const admin = await MfaService.getCollection().findOne({ _id: new ObjectId(adminId) });
+    if (!admin) {
+      throw new NotFoundError('Admin not found');
+    }
+    return admin;
+  }
+
+  static async getStatus(adminId) {
+    const admin = await MfaService.findAdmin(adminId);
+
+    return {
+      enabled: Boolean(admin.mfa?.enabled),
+      enabled_at: admin.mfa?.enabled_at ? admin.mfa.enabled_at.toISOString() : null,
+      recovery_codes_remaining: admin.mfa?.enabled ? admin.mfa.recovery_codes.length : 0,
+      required_by_organization: await AuthService.orgRequiresMfa(admin),
+    };
+  }
+
+  // Stores a fresh secret next to any active one; it only replaces it once
+  // a code from the authenticator proves the secret was scanned.
+  static async beginEnrollment(adminId) {
+    const admin = await MfaService.findAdmin(adminId);
+
+    if (admin.mfa?.enabled) {
+      throw new ConflictError('MFA is already enabled');
+    }
+
+    const secret = TotpManager.generateSecret();
+    await MfaService.getCollection().updateOne(
+      { _id: admin._id },
+      { $set: { 'mfa.pending_secret': secret, 'mfa.enabled': false } }
+    );
+
+    return {
+      secret,
+      provisioning_uri: TotpManager.buildProvisioningUri(secret, admin.admin_email),
+    };
+  }
+
+  static async confirmEnrollment(adminId, code) {
+    const admin = await MfaService.findAdmin(adminId);
+
+    if (admin.mfa?.enabled) {
+      throw new ConflictError('MFA is already enabled');
+    }
+    if (!admin.mfa?.pending_secret) {
+      throw new ConflictError('MFA enrollment has not been started');
+    }
+
+    const step = TotpManager.verifyCode(admin.mfa.pending_secret, code);
+    if (step === null) {
+      throw new ValidationError('Invalid MFA code', { code: 'INVALID_MFA_CODE' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await MfaService.getCollection().updateOne(
+      { _id: admin._id },
+      {
+        $set: {
+          mfa: {
+            enabled: true,
+            secret: admin.mfa.pending_secret,
+            recovery_codes: recoveryCodes.map(hashRecoveryCode),
+            enabled_at: new Date(),
+            last_used_step: step,
+          },
+        },
+      }
+    );
+
+    logger.info('MFA enabled', { admin_id: admin._id });
+
+    return {
+      message: 'MFA enabled',
+      recovery_codes: recoveryCodes,
+    };
+  }
+
+  static async disable(adminId, code) {
+    const admin = await MfaService.findAdmin(adminId);
+
+    if (!admin.mfa?.enabled) {
+      throw new ConflictError('MFA is not enabled');
+    }
+    if (await AuthService.orgRequiresMfa(admin)) {
+      throw new ForbiddenError('Organization requires MFA, it cannot be disabled');
+    }
+    if (!(await MfaService.consumeCode(admin, code))) {
+      throw new ValidationError('Invalid MFA code', { code: 'INVALID_MFA_CODE' });
+    }
+
+    await MfaService.getCollection().updateOne({ _id: admin._id }, { $unset: { mfa: '' } });
+
+    logger.info('MFA disabled', { admin_id: admin._id });
+
+    return { message: 'MFA disabled' };
+  }
+
+  // Accepts a current TOTP code or an unused recovery code. Both updates
+  // are conditional so a code cannot be replayed, even by concurrent
+  // requests: TOTP steps only move forward, recovery codes are pulled.
+  static async consumeCode(admin, code) {
+    if (!code) {
+      return false;
+    }
+
+    const adminCollection = MfaService.getCollection();
+    const step = TotpManager.verifyCode(admin.mfa.secret, code);
+
+    if (step !== null) {
+      const result = await adminCollection.updateOne(
+        { _id: admin._id, 'mfa.last_used_step': { $lt: step } },
+        { $set: { 'mfa.last_used_step': step } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    const hash = hashRecoveryCode(code);
+    const result = await adminCollection.updateOne(
+      { _id: admin._id, 'mfa.recovery_codes': hash },
+      { $pull: { 'mfa.recovery_codes': hash } }
+    );
+    if (result.modifiedCount === 1) {
+      logger.warn('MFA recovery code used', { admin_id: admin._id });
+      return true;
+    }
+    return false;
+  }
+}
+
+class AuthService {
+  static async adminLogin(email, password, context = {}) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!email || !password) {
+      throw new ValidationError('Email and password are required');
+    }
+
+    // A locked account gets the same answer as a wrong password. Unknown
+    // addresses are tracked and locked like real ones, so neither the lock
+    // nor its absence tells an attacker which emails exist.
+    if (await LoginAttemptService.isLocked(email)) {
+      throw new AuthError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    const adminCollection = db.collection(config.adminCollection);
+    const admin = await adminCollection.findOne({ admin_email: email });
+
+    // Unknown emails still pay for a bcrypt comparison so response times
+    // do not give them away either. Admins provisioned through SSO have no
+    // password and are treated the same way.
+    const isPasswordValid = await PasswordManager.verifyPassword(
+      password,
+      admin?.password || TIMING_DUMMY_HASH
+    );
+
+    if (!admin?.password || !isPasswordValid) {
+      await LoginAttemptService.recordFailure(email);
+      throw new AuthError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    // Checked after the password so the answer does not reveal which
+    // addresses are registered. Admins created before verification existed
+    // have no flag and are treated as verified.
+    if (admin.email_verified === false) {
+      throw new ForbiddenError('Email address has not been verified', {
+        code: 'EMAIL_NOT_VERIFIED',
+      });
+    }
+
+    return (await AuthService.secondFactor(admin)) || AuthService.issueTokens(admin, context);
+  }
+
+  // The first step of a login only opens the second one when MFA is on, or
+  // when the org requires it and the admin still has to enroll. Null when
+  // the login is complete.
+  static async secondFactor(admin) {
+    if (admin.mfa?.enabled) {
+      return AuthService.mfaChallenge(admin, 'mfa_challenge');
+    }
+    if (await AuthService.orgRequiresMfa(admin)) {
+      return AuthService.mfaChallenge(admin, 'mfa_enrollment');
+    }
+    return null;
+  }
+
+  static mfaChallenge(admin, purpose) {
+    return {
+      [purpose === 'mfa_challenge' ? 'mfa_required' : 'mfa_enrollment_required']: true,
+      mfa_token: TokenManager.createMfaToken(admin._id.toString(), purpose),
+      token_type: purpose,
+      expires_in: config.mfaTokenTtlMinutes * 60,
+    };
+  }
+
+  static async orgRequiresMfa(admin) {
+    if (!admin.organization_id || !ObjectId.isValid(admin.organization_id)) {
+      return false;
+    }
+
+    const db = DatabaseManager.getInstance().getDb();
+    const org = await db
+      .collection(config.masterCollection)
+      .findOne({ _id: new ObjectId(admin.organization_id) }, { projection: { mfa_required: 1 } });
+    return Boolean(org?.mfa_required);
+  }
+
+  // Every login gets its own session, so other devices stay signed in
+  static async issueTokens(admin, context = {}) {
+    await LoginAttemptService.clear(admin.admin_email);
+
+    const { sessionId, refreshToken } = await SessionService.createSession(admin, context);
+
+    const accessToken = TokenManager.createAccessToken(
+      admin._id.toString(),
+      admin.organization_id,
+      admin.organization_name,
+      admin.role,
+      sessionId
+    );
+
+    logger.info('Admin login successful', { admin_id: admin._id, org_name: admin.organization_name });
+    if (admin.organization_id) {
+      await WebhookService.emit(
+        'admin.login',
+        { id: admin.organization_id, name: admin.organization_name },
+        {
+          admin_id: admin._id.toString(),
+          admin_email: admin.admin_email,
+          session_id: sessionId,
+          ip: context.ip || null,
+        }
+      );
+    }
+
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'bearer',
+      expires_in: 15 * 60,
+      admin_id: admin._id.toString(),
+      organization_id: admin.organization_id,
+      organization_name: admin.organization_name,
+      session_id: sessionId,
+    };
+  }
+
+  // Enrollment forced by the org's policy ends the interrupted login
+  static async completeMfaEnrollment(adminId, code, context = {}) {
+    const result = await MfaService.confirmEnrollment(adminId, code);
+    const admin = await MfaService.findAdmin(adminId);
+    return { ...result, ...(await AuthService.issueTokens(admin, context)) };
+  }
+
+  // Second login step: trades the challenge token and a TOTP or recovery
+  // code for the real token pair
+  static async completeMfaLogin(mfaToken, code, context = {}) {
+    let decoded;
+    try {
+      decoded = TokenManager.verifyToken(mfaToken);
+    } catch (error) {
+      throw new AuthError('Invalid or expired MFA token', { code: 'INVALID_TOKEN' });
+    }
+
+    if (decoded.type !== 'mfa_challenge') {
+      throw new AuthError('Invalid or expired MFA token', { code: 'INVALID_TOKEN' });
+    }
+
+    const admin = await MfaService.findAdmin(decoded.sub);
+    if (!admin.mfa?.enabled) {
+      throw new AuthError('Invalid or expired MFA token', { code: 'INVALID_TOKEN' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (await LoginAttemptService.isLocked(admin.admin_email)) {
+      throw new AuthError('Invalid MFA code', { code: 'INVALID_MFA_CODE' });
+    }
+
+    if (!(await MfaService.consumeCode(admin, code))) {
+      await LoginAttemptService.recordFailure(admin.admin_email);
+      throw new AuthError('Invalid MFA code', { code: 'INVALID_MFA_CODE' });
+    }
+
+    return AuthService.issueTokens(admin, context);
+  }
+
+  static async refreshAccessToken(adminId, refreshToken, context = {}) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    try {
+      const decoded = TokenManager.verifyToken(refreshToken);
+      if (decoded.type !== 'refresh') {
+        throw new AuthError('Invalid refresh token type', { code: 'INVALID_TOKEN' });
+      }
+
+      if (decoded.sub !== adminId || !ObjectId.isValid(adminId)) {
+        throw new AuthError('Refresh token mismatch', { code: 'INVALID_TOKEN' });
+      }
+
+      const adminCollection = db.collection(config.adminCollection);
+      const admin = await adminCollection.findOne({ _id: new ObjectId(adminId) });
+
+      if (!admin) {
+        throw new AuthError('Admin not found', { code: 'INVALID_TOKEN' });
+      }
+
+      const sessions = SessionService.getCollection();
+      const session = ObjectId.isValid(decoded.family)
+        ? await sessions.findOne({ _id: new ObjectId(decoded.family), admin_id: adminId })
+        : null;
+
+      if (!session) {
+        throw new AuthError('Refresh token revoked', { code: 'INVALID_TOKEN' });
+      }
+
+      // Rotate: the presented token is retired and replaced in one atomic
+      // update, so two concurrent refreshes cannot both succeed.
+      const hashedToken = TokenManager.hashToken(refreshToken);
+      const newRefreshToken = TokenManager.createRefreshToken(
+        admin._id.toString(),
+        admin.organization_id,
+        decoded.family
+      );
+
+      const now = new Date();
+      const rotated = await sessions.updateOne(
+        { _id: session._id, refresh_token_hash: hashedToken },
+        {
+          $set: {
+            refresh_token_hash: TokenManager.hashToken(newRefreshToken),
+            ip: context.ip || session.ip,
+            user_agent: context.userAgent || session.user_agent,
+            last_used_at: now,
+            expires_at: new Date(now.getTime() + SESSION_TTL_MS),
+          },
+        }
+      );
+
+      if (rotated.modifiedCount === 0) {
+        // A token from the live session that is not the current one was
+        // already rotated out, so somebody is replaying it.
+        await sessions.deleteOne({ _id: session._id });
+        logger.warn('Refresh token reuse detected, session revoked', {
+          admin_id: adminId,
+          session_id: decoded.family,
+        });
+        throw new AuthError('Refresh token reuse detected', { code: 'INVALID_TOKEN' });
+      }
+
+      const newAccessToken = TokenManager.createAccessToken(
+        admin._id.toString(),
+        admin.organization_id,
+        admin.organization_name,
+        admin.role,
+        decoded.family
+      );
+
+      logger.info('Token refreshed', { admin_id: adminId });
 
       return {
         access_token: newAccessToken,
+        refresh_token: newRefreshToken,
         token_type: 'bearer',
         expires_in: 15 * 60,
       };
     } catch (error) {
-      logger.warn('Token refresh failed', { error: error.message });
-      throw new Error(`Token refresh failed: ${error.message}`);
+      logger.warn('Token refresh failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  static async logout(refreshToken) {
+    const decoded = TokenManager.verifyToken(refreshToken);
+
+    if (decoded.type !== 'refresh') {
+      throw new AuthError('Invalid refresh token type', { code: 'INVALID_TOKEN' });
+    }
+
+    // Already revoked sessions are fine: logout is idempotent
+    if (ObjectId.isValid(decoded.family)) {
+      await SessionService.getCollection().deleteOne({
+        _id: new ObjectId(decoded.family),
+        admin_id: decoded.sub,
+      });
+      logger.info('Admin logged out', { admin_id: decoded.sub });
+    }
+
+    return { message: 'Logged out successfully' };
+  }
+
+  static async logoutAll(adminId) {
+    const revoked = await SessionService.revokeAllSessions(adminId);
+
+    logger.info('Admin logged out of all sessions', { admin_id: adminId, revoked });
+
+    return { message: 'Logged out of all sessions', revoked_sessions: revoked };
+  }
+
+  // Mails a verification link to an org's admin. Delivery failures are
+  // logged rather than thrown: the org already exists and the admin can ask
+  // for a new link through resendVerification.
+  static async sendVerificationEmail(orgId, email) {
+    const db = DatabaseManager.getInstance().getDb();
+    const admin = await db
+      .collection(config.adminCollection)
+      .findOne({ admin_email: email, organization_id: orgId });
+
+    if (!admin || admin.email_verified !== false) {
+      return;
+    }
+
+    const token = TokenManager.createEmailVerificationToken(admin._id.toString(), email);
+    const link = `${config.appBaseUrl}/verify-email?token=${token}`;
+
+    try {
+      await Mailer.getInstance().send({
+        to: email,
+        subject: 'Verify your email address',
+        text:
+          `Confirm that this address belongs to the admin of ${admin.organization_name}.\n\n` +
+          `Open this link within ${config.emailVerificationTtlHours} hours:\n` +
+          `${link}\n\nIf you did not create this organization, you can ignore this email.`,
+      });
+    } catch (error) {
+      logger.error('Failed to send verification email', {
+        admin_id: admin._id,
+        message: error.message,
+      });
+    }
+  }
+
+  // Admins without the flag predate verification and count as verified
+  static async isEmailVerified(adminId) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!ObjectId.isValid(adminId)) {
+      throw new NotFoundError('Admin not found');
+    }
+
+    const admin = await db
+      .collection(config.adminCollection)
+      .findOne({ _id: new ObjectId(adminId) }, { projection: { email_verified: 1 } });
+
+    if (!admin) {
+      throw new NotFoundError('Admin not found');
+    }
+
+    return admin.email_verified !== false;
+  }
+
+  static async verifyEmail(token) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!token) {
+      throw new ValidationError('Token is required');
+    }
+
+    let decoded;
+    try {
+      decoded = TokenManager.verifyToken(token);
+    } catch (error) {
+      throw new ValidationError('Invalid or expired verification token');
+    }
+
+    if (decoded.type !== 'email_verification' || !ObjectId.isValid(decoded.sub)) {
+      throw new ValidationError('Invalid or expired verification token');
+    }
+
+    // Matching on the email too rejects links for an address that has
+    // since been replaced
+    const admin = await db.collection(config.adminCollection).findOneAndUpdate(
+      { _id: new ObjectId(decoded.sub), admin_email: decoded.email },
+      { $set: { email_verified: true, email_verified_at: new Date() } }
+    );
+
+    if (!admin) {
+      throw new ValidationError('Invalid or expired verification token');
+    }
+
+    logger.info('Admin email verified', { admin_id: admin._id });
+
+    return {
+      message: 'Email address verified',
+      admin_email: admin.admin_email,
+    };
+  }
+
+  static async resendVerification(email) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!email) {
+      throw new ValidationError('Email is required');
+    }
+
+    const admin = await db.collection(config.adminCollection).findOne({ admin_email: email });
+    if (admin && admin.email_verified === false) {
+      await AuthService.sendVerificationEmail(admin.organization_id, email);
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe accounts
+    return {
+      message: 'If this address is awaiting verification, a new link has been sent',
+    };
+  }
+
+  // Always resolves the same way whether or not the email is known, so the
+  // endpoint cannot be used to discover admin accounts.
+  static async requestPasswordReset(email) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!email) {
+      throw new ValidationError('Email is required');
+    }
+
+    const response = {
+      message: 'If an account exists for this email, a reset link has been sent',
+    };
+
+    // Admins provisioned through SSO have no password to reset, and must
+    // not gain one that outlives their access at the identity provider
+    const admin = await db.collection(config.adminCollection).findOne({ admin_email: email });
+    if (!admin?.password || admin.is_active === false) {
+      return response;
+    }
+
+    const resetCollection = db.collection(config.passwordResetCollection);
+    const token = crypto.randomBytes(32).toString('hex');
+
+    // Only the newest link works
+    await resetCollection.deleteMany({ admin_id: admin._id.toString(), used_at: null });
+    await resetCollection.insertOne({
+      admin_id: admin._id.toString(),
+      token_hash: TokenManager.hashToken(token),
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + config.passwordResetTtlMinutes * 60 * 1000),
+      used_at: null,
+    });
+
+    const link = `${config.appBaseUrl}/reset-password?token=${token}`;
+    try {
+      await Mailer.getInstance().send({
+        to: email,
+        subject: 'Reset your password',
+        text:
+          `A password reset was requested for your account.\n\n` +
+          `Open this link within ${config.passwordResetTtlMinutes} minutes to choose a new password:\n` +
+          `${link}\n\nIf you did not ask for this, you can ignore this email.`,
+      });
+    } catch (error) {
+      // Surfacing the failure would reveal that the account exists
+      logger.error('Failed to send password reset email', { message: error.message });
+      return response;
+    }
+
+    logger.info('Password reset requested', { admin_id: admin._id });
+
+    return response;
+  }
+
+  static async resetPassword(token, password) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!token || !password) {
+      throw new ValidationError('Token and password are required');
+    }
+
+    if (password.length < 6) {
+      throw new ValidationError('Password must be at least 6 characters');
+    }
+
+    // Claiming the token and checking it is one atomic update: single use
+    const now = new Date();
+    const reset = await db.collection(config.passwordResetCollection).findOneAndUpdate(
+      { token_hash: TokenManager.hashToken(token), used_at: null, expires_at: { $gt: now } },
+      { $set: { used_at: now } }
+    );
+
+    if (!reset) {
+      throw new ValidationError('Invalid or expired reset token');
+    }
+
+    const adminCollection = db.collection(config.adminCollection);
+    const admin = await adminCollection.findOne({ _id: new ObjectId(reset.admin_id) });
+
+    if (!admin?.password) {
+      throw new ValidationError('Invalid or expired reset token');
+    }
+
+    const hashedPassword = await PasswordManager.hashPassword(password);
+    await adminCollection.updateOne(
+      { _id: admin._id },
+      { $set: { password: hashedPassword, password_changed_at: now } }
+    );
+
+    // Keep the tenant copy of the admin in sync for /org/users/login
+    if (admin.organization_id) {
+      try {
+        const tenant = await DatabaseManager.getInstance().getTenantById(admin.organization_id);
+        await tenant.db
+          .collection('users')
+          .updateOne(
+            { email: admin.admin_email },
+            { $set: { password: hashedPassword, updated_at: now } }
+          );
+      } catch (error) {
+        logger.warn('Could not sync reset password to tenant user', { message: error.message });
+      }
+    }
+
+    // A reset usually means the old password leaked: end every session
+    const revoked = await SessionService.revokeAllSessions(admin._id.toString());
+
+    logger.info('Password reset completed', { admin_id: admin._id, revoked_sessions: revoked });
+
+    return { message: 'Password has been reset successfully' };
+  }
+}
+
+// Roles map to permissions. Built-in roles are fixed in permissions.js;
+// custom roles are stored per organization in the tenant database's roles
+// collection. Permissions are resolved on every request rather than read
+// from the token, so role changes apply immediately.
+class RoleService {
+  static getRolesCollection(tenant) {
+    return tenant.db.collection('roles');
+  }
+
+  static formatRole(role) {
+    return {
+      name: role.name,
+      description: role.description || null,
+      permissions: role.permissions,
+      built_in: Boolean(role.built_in),
+      created_at: role.created_at ? role.created_at.toISOString() : null,
+      updated_at: role.updated_at ? role.updated_at.toISOString() : null,
+    };
+  }
+
+  static async listRoles(tenant) {
+    const rolesCollection = RoleService.getRolesCollection(tenant);
+    const custom = await rolesCollection.find({}).sort({ name: 1 }).toArray();
+
+    const builtIn = TENANT_ROLES.map((name) => ({
+      name,
+      permissions: BUILT_IN_ROLES[name],
+      built_in: true,
+    }));
+
+    return { roles: [...builtIn, ...custom].map(RoleService.formatRole) };
+  }
+
+  static async findRole(rolesCollection, name) {
+    const role = await rolesCollection.findOne({ name });
+    if (!role) {
+      throw new NotFoundError('Role not found');
+    }
+    return role;
+  }
+
+  // Nobody may hand out permissions they do not hold themselves, whether
+  // by defining a role or by assigning one
+  static assertWithin(
+    permissions,
+    callerPermissions,
+    message = 'Cannot grant permissions you do not have'
+  ) {
+    const missing = permissions.filter((permission) => !callerPermissions.includes(permission));
+    if (missing.length) {
+      throw new ForbiddenError(`${message}: ${missing.join(', ')}`);
+    }
+  }
+
+  static async createRole(tenant, { name, description, permissions }, callerPermissions) {
+    if (isBuiltInRole(name)) {
+      throw new ConflictError('Role with this name already exists');
+    }
+
+    RoleService.assertWithin(permissions, callerPermissions);
+
+    const rolesCollection = RoleService.getRolesCollection(tenant);
+    const role = {
+      name,
+      description: description || null,
+      permissions,
+      created_at: new Date(),
+      updated_at: null,
+    };
+
+    try {
+      await rolesCollection.insertOne(role);
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('Role with this name already exists');
+      }
+      throw error;
+    }
+
+    logger.info('Role created', { org: tenant.name, role: name });
+
+    return RoleService.formatRole(role);
+  }
+
+  static async updateRole(tenant, name, updates, callerPermissions) {
+    if (isBuiltInRole(name)) {
+      throw new ForbiddenError('Built-in roles cannot be changed');
+    }
+
+    const rolesCollection = RoleService.getRolesCollection(tenant);
+    const role = await RoleService.findRole(rolesCollection, name);
+
+    const $set = { updated_at: new Date() };
+    if (updates.description !== undefined) {
+      $set.description = updates.description;
+    }
+    if (updates.permissions !== undefined) {
+      RoleService.assertWithin(updates.permissions, callerPermissions);
+      $set.permissions = updates.permissions;
+    }
+
+    await rolesCollection.updateOne({ _id: role._id }, { $set });
+
+    logger.info('Role updated', { org: tenant.name, role: name });
+
+    return RoleService.formatRole({ ...role, ...$set });
+  }
+
+  static async deleteRole(tenant, name) {
+    if (isBuiltInRole(name)) {
+      throw new ForbiddenError('Built-in roles cannot be changed');
+    }
+
+    const rolesCollection = RoleService.getRolesCollection(tenant);
+    const role = await RoleService.findRole(rolesCollection, name);
+
+    const usersCollection = UserService.getUsersCollection(tenant);
+    if (await usersCollection.findOne({ role: name })) {
+      throw new ConflictError('Role is still assigned to users');
+    }
+
+    await rolesCollection.deleteOne({ _id: role._id });
+
+    logger.info('Role deleted', { org: tenant.name, role: name });
+
+    return { message: 'Role deleted successfully', name };
+  }
+
+  static async getRolePermissions(tenant, name) {
+    if (TENANT_ROLES.includes(name)) {
+      return BUILT_IN_ROLES[name];
+    }
+
+    const rolesCollection = RoleService.getRolesCollection(tenant);
+    return (await RoleService.findRole(rolesCollection, name)).permissions;
+  }
+
+  // Checks a role exists in the org and grants nothing beyond the caller's
+  // own permissions before it is given to a user. An unknown role here is
+  // bad input rather than a missing resource.
+  static async assertAssignable(tenant, name, callerPermissions) {
+    let permissions;
+    try {
+      permissions = await RoleService.getRolePermissions(tenant, name);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+    RoleService.assertWithin(permissions, callerPermissions);
+  }
+
+  // Changing, deactivating or deleting a user is only allowed to callers
+  // holding everything the user's current role grants; otherwise users:write
+  // alone would be enough to take over an org admin, e.g. by setting their
+  // password. A role that no longer exists grants nothing.
+  static async assertManageable(tenant, user, callerPermissions) {
+    let permissions;
+    try {
+      permissions = await RoleService.getRolePermissions(tenant, user.role);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return;
+      }
+      throw error;
+    }
+    RoleService.assertWithin(
+      permissions,
+      callerPermissions,
+      'Cannot manage a user with permissions you do not have'
+    );
+  }
+
+  // Effective permissions of an authenticated principal. Master admins use
+  // their built-in role; API keys get an org admin's permissions narrowed
+  // to their scopes; tenant users are looked up so that deactivation and
+  // role changes take effect on their next request.
+  static async resolvePermissions(user) {
+    if (user.principal === 'api_key') {
+      const permissions = BUILT_IN_ROLES.org_admin;
+      return user.scopes ? permissions.filter((p) => user.scopes.includes(p)) : permissions;
+    }
+
+    if (user.principal !== 'user') {
+      return BUILT_IN_ROLES[user.role] || [];
+    }
+
+    if (!ObjectId.isValid(user.sub)) {
+      return [];
+    }
+
+    const { db: orgDb } = await DatabaseManager.getInstance().getTenantById(user.org_id);
+    const tenantUser = await orgDb
+      .collection('users')
+      .findOne({ _id: new ObjectId(user.sub) }, { projection: { role: 1, is_active: 1 } });
+
+    if (!tenantUser || tenantUser.is_active === false) {
+      return [];
+    }
+
+    if (TENANT_ROLES.includes(tenantUser.role)) {
+      return BUILT_IN_ROLES[tenantUser.role];
+    }
+
+    const role = await orgDb.collection('roles').findOne({ name: tenantUser.role });
+    return role ? role.permissions : [];
+  }
+}
+
+class UserService {
+  static formatUser(user) {
+    return {
+      id: user._id.toString(),
+      email: user.email,
+      name: user.name || null,
+      role: user.role,
+      is_active: user.is_active,
+      created_at: user.created_at.toISOString(),
+      updated_at: user.updated_at ? user.updated_at.toISOString() : null,
+    };
+  }
+
+  static getUsersCollection(tenant) {
+    return tenant.db.collection('users');
+  }
+
+  static async findUser(usersCollection, userId) {
+    if (!ObjectId.isValid(userId)) {
+      throw new NotFoundError('User not found');
+    }
+
+    const user = await usersCollection.findOne({ _id: new ObjectId(userId) });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    return user;
+  }
+
+  // The tenant user created alongside the organization mirrors the master
+  // admin record, so it must not be changed or removed through the members
+  // API; its credentials follow PUT /org/update and password resets.
+  static async assertNotOwner(tenant, userId, action = 'remove') {
+    const db = DatabaseManager.getInstance().getDb();
+    const org = await db
+      .collection(config.masterCollection)
+      .findOne({ _id: new ObjectId(tenant.id) });
+
+    if (org && org.admin_user_id === userId) {
+      throw new ForbiddenError(`Cannot ${action} the organization owner`);
+    }
+  }
+
+  static async createUser(tenant, { email, password, name, role = 'member' }, callerPermissions) {
+    if (!email || !password) {
+      throw new ValidationError('Email and password are required');
+    }
+
+    if (!validator.isEmail(email)) {
+      throw new ValidationError('Invalid email format');
+    }
+
+    await RoleService.assertAssignable(tenant, role, callerPermissions);
+    await PlanService.assertQuota(tenant, 'max_users');
+    await PlanService.assertQuota(tenant, 'max_storage_bytes');
+
+    const usersCollection = UserService.getUsersCollection(tenant);
+    const existing = await usersCollection.findOne({ email });
+
+    if (existing) {
+      throw new ConflictError('User with this email already exists');
+    }
+
+    const user = {
+      email,
+      password: await PasswordManager.hashPassword(password),
+      name: name || null,
+      role,
+      created_at: new Date(),
+      is_active: true,
+    };
+
+    try {
+      const result = await usersCollection.insertOne(user);
+      user._id = result.insertedId;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('User with this email already exists');
+      }
+      throw error;
+    }
+
+    const created = UserService.formatUser(user);
+    await WebhookService.emit('user.created', tenant, { user: created });
+    return created;
+  }
+
+  static async listUsers(tenant, page = 1, limit = 20) {
+    const usersCollection = UserService.getUsersCollection(tenant);
+
+    const [users, total] = await Promise.all([
+      usersCollection
+        .find({})
+        .sort({ created_at: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      usersCollection.countDocuments({}),
+    ]);
+
+    return {
+      users: users.map(UserService.formatUser),
+      page,
+      limit,
+      total,
+    };
+  }
+
+  static async getUser(tenant, userId) {
+    const usersCollection = UserService.getUsersCollection(tenant);
+    const user = await UserService.findUser(usersCollection, userId);
+
+    return UserService.formatUser(user);
+  }
+
+  static async updateUser(tenant, userId, updates, callerPermissions) {
+    const usersCollection = UserService.getUsersCollection(tenant);
+    const user = await UserService.findUser(usersCollection, userId);
+
+    await UserService.assertNotOwner(tenant, userId, 'change');
+    await RoleService.assertManageable(tenant, user, callerPermissions);
+    if (updates.role !== undefined) {
+      await RoleService.assertAssignable(tenant, updates.role, callerPermissions);
+    }
+
+    const $set = { updated_at: new Date() };
+    if (updates.name !== undefined) {
+      $set.name = updates.name;
+    }
+    if (updates.role !== undefined) {
+      $set.role = updates.role;
+    }
+    if (updates.password !== undefined) {
+      $set.password = await PasswordManager.hashPassword(updates.password);
+    }
+
+    await usersCollection.updateOne({ _id: user._id }, { $set });
+
+    return UserService.formatUser({ ...user, ...$set });
+  }
+
+  static async deactivateUser(tenant, userId, callerPermissions) {
+    const usersCollection = UserService.getUsersCollection(tenant);
+    const user = await UserService.findUser(usersCollection, userId);
+
+    await UserService.assertNotOwner(tenant, userId);
+    await RoleService.assertManageable(tenant, user, callerPermissions);
+
+    const $set = { is_active: false, updated_at: new Date() };
+    await usersCollection.updateOne({ _id: user._id }, { $set });
+
+    return UserService.formatUser({ ...user, ...$set });
+  }
+
+  static async deleteUser(tenant, userId, callerPermissions) {
+    const usersCollection = UserService.getUsersCollection(tenant);
+    const user = await UserService.findUser(usersCollection, userId);
+
+    await UserService.assertNotOwner(tenant, userId);
+    await RoleService.assertManageable(tenant, user, callerPermissions);
+
+    await usersCollection.deleteOne({ _id: user._id });
+
+    return {
+      message: 'User deleted successfully',
+      id: userId,
+    };
+  }
+
+  static async userLogin(orgName, email, password) {
+    const db = DatabaseManager.getInstance().getDb();
+
+    if (!orgName || !email || !password) {
+      throw new ValidationError('Organization name, email, and password are required');
+    }
+
+    const org = await db
+      .collection(config.masterCollection)
+      .findOne({ organization_name: orgName });
+
+    // Unknown organizations get the same response as bad passwords
+    if (!org || !org.is_active || org.deleted_at) {
+      throw new AuthError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    const usersCollection = UserService.getUsersCollection(
+      DatabaseManager.getInstance().tenantFor(org)
+    );
+    const user = await usersCollection.findOne({ email });
+
+    if (!user || !user.is_active) {
+      throw new AuthError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    const isPasswordValid = await PasswordManager.verifyPassword(password, user.password);
+
+    if (!isPasswordValid) {
+      throw new AuthError('Invalid credentials', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    const accessToken = TokenManager.createUserAccessToken(
+      user._id.toString(),
+      org._id.toString(),
+      orgName,
+      user.role
+    );
+
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { last_login_at: new Date() } }
+    );
+
+    logger.info('User login successful', { user_id: user._id, org_name: orgName });
+
+    return {
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: 15 * 60,
+      user_id: user._id.toString(),
+      organization_id: org._id.toString(),
+      organization_name: orgName,
+      role: user.role,
+    };
+  }
+}
+
+// Invitations live in the master DB so that accepting one only needs the
+// token. Like password reset links, only a SHA-256 hash of the token is
+// stored; status moves from pending to accepted, revoked or expired, and a
+// partial unique index allows one pending invitation per email and org.
+class InvitationService {
+  static getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.invitationCollection);
+  }
+
+  static formatInvitation(invitation) {
+    const expired = invitation.status === 'pending' && invitation.expires_at <= new Date();
+    return {
+      id: invitation._id.toString(),
+      email: invitation.email,
+      role: invitation.role,
+      status: expired ? 'expired' : invitation.status,
+      invited_by: invitation.invited_by,
+      created_at: invitation.created_at.toISOString(),
+      expires_at: invitation.expires_at.toISOString(),
+      last_sent_at: invitation.last_sent_at.toISOString(),
+    };
+  }
+
+  static newToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return {
+      token,
+      token_hash: TokenManager.hashToken(token),
+      expires_at: new Date(Date.now() + config.invitationTtlHours * 60 * 60 * 1000),
+    };
+  }
+
+  // Delivery failures are logged rather than thrown: the invitation exists
+  // and the admin can resend it
+  static async sendInvitationEmail(invitation, orgName, token) {
+    const link = `${config.appBaseUrl}/accept-invitation?token=${token}`;
+
+    try {
+      await Mailer.getInstance().send({
+        to: invitation.email,
+        subject: `You have been invited to ${orgName}`,
+        text:
+          `You have been invited to join ${orgName} as ${invitation.role}.\n\n` +
+          `Open this link within ${config.invitationTtlHours} hours to choose a password:\n` +
+          `${link}\n\nIf you were not expecting this, you can ignore this email.`,
+      });
+    } catch (error) {
+      logger.error('Failed to send invitation email', {
+        invitation_id: invitation._id,
+        message: error.message,
+      });
+    }
+  }
+
+  static async findPending(tenant, invitationId) {
+    if (!ObjectId.isValid(invitationId)) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    const invitation = await InvitationService.getCollection().findOne({
+      _id: new ObjectId(invitationId),
+      organization_id: tenant.id,
+      status: 'pending',
+    });
+
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    return invitation;
+  }
+
+  static async createInvitation(tenant, invitedBy, { email, role = 'member' }, callerPermissions) {
+    await RoleService.assertAssignable(tenant, role, callerPermissions);
+    await PlanService.assertQuota(tenant, 'max_users');
+
+    const usersCollection = UserService.getUsersCollection(tenant);
+    if (await usersCollection.findOne({ email })) {
+      throw new ConflictError('User with this email already exists');
+    }
+
+    const invitationCollection = InvitationService.getCollection();
+    const now = new Date();
+
+    // An expired invitation must not block inviting the same address again
+    await invitationCollection.updateMany(
+      { organization_id: tenant.id, email, status: 'pending', expires_at: { $lte: now } },
+      { $set: { status: 'expired' } }
+    );
+
+    const { token, token_hash, expires_at } = InvitationService.newToken();
+    const invitation = {
+      organization_id: tenant.id,
+      email,
+      role,
+      token_hash,
+      status: 'pending',
+      invited_by: invitedBy,
+      created_at: now,
+      expires_at,
+      last_sent_at: now,
+      accepted_at: null,
+      revoked_at: null,
+    };
+
+    try {
+      const result = await invitationCollection.insertOne(invitation);
+      invitation._id = result.insertedId;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('An invitation is already pending for this email');
+      }
+      throw error;
+    }
+
+    await InvitationService.sendInvitationEmail(invitation, tenant.name, token);
+
+    logger.info('Invitation created', { org_id: tenant.id, invitation_id: invitation._id });
+
+    return InvitationService.formatInvitation(invitation);
+  }
+
+  // Pending invitations, including ones that expired without being accepted
+  static async listInvitations(tenant) {
+    const invitations = await InvitationService.getCollection()
+      .find({ organization_id: tenant.id, status: 'pending' })
+      .sort({ created_at: -1 })
+      .toArray();
+
+    return { invitations: invitations.map(InvitationService.formatInvitation) };
+  }
+
+  // Issues a fresh token and expiry; the previously mailed link stops working
+  static async resendInvitation(tenant, invitationId) {
+    const invitation = await InvitationService.findPending(tenant, invitationId);
+    const { token, token_hash, expires_at } = InvitationService.newToken();
+
+    const $set = { token_hash, expires_at, last_sent_at: new Date() };
+    await InvitationService.getCollection().updateOne({ _id: invitation._id }, { $set });
+
+    await InvitationService.sendInvitationEmail(invitation, tenant.name, token);
+
+    logger.info('Invitation resent', { org_id: tenant.id, invitation_id: invitation._id });
+
+    return InvitationService.formatInvitation({ ...invitation, ...$set });
+  }
+
+  static async revokeInvitation(tenant, invitationId) {
+    const invitation = await InvitationService.findPending(tenant, invitationId);
+
+    await InvitationService.getCollection().updateOne(
+      { _id: invitation._id, status: 'pending' },
+      { $set: { status: 'revoked', revoked_at: new Date() } }
+    );
+
+    logger.info('Invitation revoked', { org_id: tenant.id, invitation_id: invitation._id });
+
+    return { message: 'Invitation revoked', id: invitationId };
+  }
+
+  static async acceptInvitation(token, { password, name }) {
+    const db = DatabaseManager.getInstance().getDb();
+    const invitationCollection = InvitationService.getCollection();
+    const now = new Date();
+
+    const invitation = await invitationCollection.findOne({
+      token_hash: TokenManager.hashToken(token),
+      status: 'pending',
+      expires_at: { $gt: now },
+    });
+
+    if (!invitation) {
+      throw new ValidationError('Invalid or expired invitation');
+    }
+
+    const org = await db
+      .collection(config.masterCollection)
+      .findOne({ _id: new ObjectId(invitation.organization_id) });
+
+    if (!org || !org.is_active || org.deleted_at) {
+      throw new ValidationError('Invalid or expired invitation');
+    }
+
+    const tenant = DatabaseManager.getInstance().tenantFor(org);
+    try {
+      await RoleService.getRolePermissions(tenant, invitation.role);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw new ConflictError('The role of this invitation no longer exists');
+      }
+      throw error;
+    }
+
+    // The seat was reserved when the invitation was created
+    await PlanService.assertQuota(tenant, 'max_storage_bytes');
+
+    const usersCollection = UserService.getUsersCollection(tenant);
+    if (await usersCollection.findOne({ email: invitation.email })) {
+      throw new ConflictError('User with this email already exists');
+    }
+
+    // Claiming the invitation is one atomic update: single use
+    const claimed = await invitationCollection.findOneAndUpdate(
+      { _id: invitation._id, token_hash: invitation.token_hash, status: 'pending' },
+      { $set: { status: 'accepted', accepted_at: now } }
+    );
+
+    if (!claimed) {
+      throw new ValidationError('Invalid or expired invitation');
+    }
+
+    const user = {
+      email: invitation.email,
+      password: await PasswordManager.hashPassword(password),
+      name: name || null,
+      role: invitation.role,
+      created_at: now,
+      is_active: true,
+      invitation_id: invitation._id.toString(),
+    };
+
+    try {
+      const result = await usersCollection.insertOne(user);
+      user._id = result.insertedId;
+    } catch (error) {
+      // Hand the invitation back so the admin can resend or revoke it
+      await invitationCollection.updateOne(
+        { _id: invitation._id },
+        { $set: { status: 'pending', accepted_at: null } }
+      );
+      if (error.code === 11000) {
+        throw new ConflictError('User with this email already exists');
+      }
+      throw error;
     }
+
+    logger.info('Invitation accepted', { org_id: invitation.organization_id, user_id: user._id });
+    await WebhookService.emit('user.created', tenant, {
+      user: UserService.formatUser(user),
+      invitation_id: invitation._id.toString(),
+    });
+
+    return {
+      message: 'Invitation accepted',
+      organization_id: invitation.organization_id,
+      organization_name: tenant.name,
+      user: UserService.formatUser(user),
+    };
   }
 }
 
-export { OrganizationService, AuthService };
+export {
+  OrganizationService,
+  SettingsService,
+  PlanService,
+  AuthService,
+  SessionService,
+  MfaService,
+  LoginAttemptService,
+  ApiKeyService,
+  RoleService,
+  UserService,
+  InvitationService,
+};
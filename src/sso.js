@@ -0,0 +1,564 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
+import DatabaseManager from './database.js';
+import config from './config.js';
+import logger from './logger.js';
+import {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  ConflictError,
+  NotFoundError,
+  UpstreamError,
+} from './errors.js';
+import { AuthService, MfaService, LoginAttemptService } from './services.js';
+import { WebhookService } from './webhooks.js';
+import { request } from './outbound.js';
+
+// Discovery documents and signing keys are refetched after this long, or
+// right away when an ID token names a key we have not seen
+const ISSUER_CACHE_MS = 60 * 60 * 1000;
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+// Allowed clock skew between us and the identity provider
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const base64url = (bytes) => crypto.randomBytes(bytes).toString('base64url');
+const sha256 = (value, encoding) => crypto.createHash('sha256').update(value).digest(encoding);
+
+// OpenID Connect relying party: discovery, the code exchange and ID token
+// validation. Issuer metadata and keys are cached per process.
+class OidcClient {
+  static cache = new Map();
+
+  // Issuers and their endpoints are chosen by tenants, so they must use
+  // https. Plain http is only accepted on this machine, and only with
+  // SSO_ALLOW_LOCAL_ISSUERS, which also lifts the private address check.
+  static isAllowedUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return false;
+    }
+    if (url.protocol === 'https:') {
+      return true;
+    }
+    return (
+      config.ssoAllowLocalIssuers && url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname)
+    );
+  }
+
+  static async fetchJson(url, { method, headers, body: requestBody } = {}) {
+    if (!OidcClient.isAllowedUrl(url)) {
+      throw new UpstreamError('Identity provider endpoints must use https');
+    }
+
+    let response;
+    try {
+      response = await request(url, {
+        method,
+        headers: { Accept: 'application/json', ...headers },
+        body: requestBody,
+        timeoutMs: config.ssoTimeoutSeconds * 1000,
+        allowPrivate: config.ssoAllowLocalIssuers,
+      });
+    } catch (error) {
+      throw new UpstreamError(`Identity provider unreachable: ${error.message}`);
+    }
+
+    let body = null;
+    try {
+      body = JSON.parse(response.body);
+    } catch (error) {
+      // Reported below with the status
+    }
+    if (response.status < 200 || response.status >= 300 || !body) {
+      const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+      // A 4xx means the provider understood and said no, e.g. to a stale code
+      if (response.status >= 400 && response.status < 500) {
+        throw new AuthError(`Identity provider refused the request: ${detail}`);
+      }
+      throw new UpstreamError(`Identity provider failed: ${detail}`);
+    }
+    return body;
+  }
+
+  static async discover(issuer, { refresh = false } = {}) {
+    const cached = OidcClient.cache.get(issuer);
+    if (cached && !refresh && Date.now() - cached.fetchedAt < ISSUER_CACHE_MS) {
+      return cached;
+    }
+
+    const metadata = await OidcClient.fetchJson(
+      `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`
+    );
+    // Required by OpenID Connect Discovery, so one provider cannot pose as another
+    if (metadata.issuer !== issuer) {
+      throw new UpstreamError('Identity provider metadata names a different issuer');
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!metadata[field]) {
+        throw new UpstreamError(`Identity provider metadata lacks ${field}`);
+      }
+    }
+
+    const jwks = await OidcClient.fetchJson(metadata.jwks_uri);
+    const entry = { metadata, keys: jwks.keys || [], fetchedAt: Date.now() };
+    OidcClient.cache.set(issuer, entry);
+    return entry;
+  }
+
+  // Tokens without a kid are accepted while the provider has a single key
+  static async findKey(issuer, kid) {
+    const pick = (keys) =>
+      kid ? keys.find((key) => key.kid === kid) : keys.length === 1 ? keys[0] : null;
+
+    let jwk = pick((await OidcClient.discover(issuer)).keys);
+    if (!jwk) {
+      jwk = pick((await OidcClient.discover(issuer, { refresh: true })).keys);
+    }
+    if (!jwk) {
+      throw new AuthError('ID token is signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  // Authenticates with client_secret_basic; the PKCE verifier proves this
+  // is the client that started the login
+  static async exchangeCode(sso, { code, codeVerifier, redirectUri }) {
+    const { metadata } = await OidcClient.discover(sso.issuer);
+    const credentials = Buffer.from(
+      `${encodeURIComponent(sso.client_id)}:${encodeURIComponent(sso.client_secret)}`
+    ).toString('base64');
+
+    return OidcClient.fetchJson(metadata.token_endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${credentials}`,
+      },
+      body: new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+      }).toString(),
+    });
+  }
+
+  static async verifyIdToken(idToken, { issuer, clientId, nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new AuthError('Invalid ID token: jwt malformed');
+    }
+    if (!ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+      throw new AuthError(`Invalid ID token: unsupported algorithm ${decoded.header.alg}`);
+    }
+
+    const key = await OidcClient.findKey(issuer, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: [decoded.header.alg],
+        issuer,
+        audience: clientId,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+      });
+    } catch (error) {
+      throw new AuthError(`Invalid ID token: ${error.message}`);
+    }
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+      throw new AuthError('Invalid ID token: azp mismatch');
+    }
+    // Ties the token to the login this browser started
+    if (claims.nonce !== nonce) {
+      throw new AuthError('Invalid ID token: nonce mismatch');
+    }
+    if (!claims.sub) {
+      throw new AuthError('Invalid ID token: sub missing');
+    }
+
+    return claims;
+  }
+}
+
+// Single sign-on for org admins through the org's own OpenID Connect
+// provider, with the authorization-code flow and PKCE. The configuration
+// lives on the org record as `sso`; logins in progress are kept in the
+// master `sso_states` collection until the provider sends the browser back.
+class SsoService {
+  static getOrgsCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.masterCollection);
+  }
+
+  static getStateCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.ssoStateCollection);
+  }
+
+  // Never includes the client secret
+  static formatConfig(sso) {
+    return {
+      issuer: sso.issuer,
+      client_id: sso.client_id,
+      allowed_domains: sso.allowed_domains,
+      jit_provisioning: sso.jit_provisioning,
+      updated_at: sso.updated_at.toISOString(),
+    };
+  }
+
+  static assertIssuerUrl(issuer) {
+    if (!OidcClient.isAllowedUrl(issuer)) {
+      throw new ValidationError('Issuer must use https');
+    }
+  }
+
+  static async findConfig(tenant) {
+    const org = await SsoService.getOrgsCollection().findOne(
+      { _id: new ObjectId(tenant.id) },
+      { projection: { sso: 1 } }
+    );
+    if (!org?.sso) {
+      throw new NotFoundError('SSO is not configured for this organization');
+    }
+    return org.sso;
+  }
+
+  static async getConfig(tenant) {
+    const sso = await SsoService.findConfig(tenant);
+    return { organization_name: tenant.name, sso: SsoService.formatConfig(sso) };
+  }
+
+  // Replaces the configuration after checking that the issuer answers
+  // discovery. Without a new secret, the stored one is kept as long as the
+  // client id stays the same.
+  static async configure(
+    tenant,
+    { issuer, client_id, client_secret, allowed_domains, jit_provisioning = true }
+  ) {
+    SsoService.assertIssuerUrl(issuer);
+
+    const existing = await SsoService.getOrgsCollection().findOne(
+      { _id: new ObjectId(tenant.id) },
+      { projection: { sso: 1 } }
+    );
+    const secret =
+      client_secret || (existing?.sso?.client_id === client_id ? existing.sso.client_secret : null);
+    if (!secret) {
+      throw new ValidationError('client_secret is required');
+    }
+
+    // Whatever discovery trips over, it is the issuer we were given
+    try {
+      await OidcClient.discover(issuer, { refresh: true });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+      throw new ValidationError(`Issuer discovery failed: ${error.message}`, { cause: error });
+    }
+
+    const sso = {
+      issuer,
+      client_id,
+      client_secret: secret,
+      allowed_domains: [...new Set(allowed_domains.map((domain) => domain.toLowerCase()))],
+      jit_provisioning,
+      updated_at: new Date(),
+    };
+
+    await SsoService.getOrgsCollection().updateOne(
+      { _id: new ObjectId(tenant.id) },
+      { $set: { sso, updated_at: sso.updated_at } }
+    );
+
+    logger.info('Organization SSO configured', { org: tenant.name, issuer });
+    const formatted = SsoService.formatConfig(sso);
+    await WebhookService.emit('org.updated', tenant, { changes: { sso: formatted } });
+
+    return { message: 'SSO configured', organization_name: tenant.name, sso: formatted };
+  }
+
+  // Admins linked to the provider keep their accounts, but can only sign
+  // in with a password if they have one
+  static async removeConfig(tenant) {
+    await SsoService.findConfig(tenant);
+
+    await SsoService.getOrgsCollection().updateOne(
+      { _id: new ObjectId(tenant.id) },
+      { $unset: { sso: '' }, $set: { updated_at: new Date() } }
+    );
+    await SsoService.getStateCollection().deleteMany({ organization_id: tenant.id });
+
+    logger.info('Organization SSO removed', { org: tenant.name });
+    await WebhookService.emit('org.updated', tenant, { changes: { sso: null } });
+
+    return { message: 'SSO removed', organization_name: tenant.name };
+  }
+
+  // First leg: remembers the state, nonce and PKCE verifier of this login
+  // and returns where to send the browser
+  static async startLogin(orgName, { loginHint } = {}) {
+    const tenant = await DatabaseManager.getInstance().getTenantByName(orgName);
+    return SsoService.authorize(tenant, { loginHint });
+  }
+
+  // Password accounts are only ever linked from a session of their own, and
+  // with a fresh MFA code: an org that controls its provider could
+  // otherwise mint an identity for any admin's email and take the account
+  // over. The callback then links the identity instead of signing in.
+  static async startLink(adminId, code) {
+    const admin = await MfaService.findAdmin(adminId);
+    SsoService.assertOrgAdmin(admin);
+    if (admin.sso) {
+      throw new ConflictError('Admin is already linked to an SSO identity');
+    }
+    if (!admin.mfa?.enabled) {
+      throw new ForbiddenError('Enable MFA before linking an SSO identity', {
+        code: 'MFA_REQUIRED',
+      });
+    }
+
+    // Wrong codes count towards the same lockout as at login
+    if (await LoginAttemptService.isLocked(admin.admin_email)) {
+      throw new AuthError('Invalid MFA code', { code: 'INVALID_MFA_CODE' });
+    }
+    if (!(await MfaService.consumeCode(admin, code))) {
+      await LoginAttemptService.recordFailure(admin.admin_email);
+      throw new AuthError('Invalid MFA code', { code: 'INVALID_MFA_CODE' });
+    }
+
+    const tenant = await DatabaseManager.getInstance().getTenantById(admin.organization_id);
+    return SsoService.authorize(tenant, {
+      loginHint: admin.admin_email,
+      linkAdminId: admin._id.toString(),
+    });
+  }
+
+  static async authorize(tenant, { loginHint, linkAdminId = null }) {
+    if (tenant.pendingDeletion) {
+      throw new ForbiddenError('Organization is pending deletion', {
+        code: 'ORG_PENDING_DELETION',
+      });
+    }
+
+    const sso = await SsoService.findConfig(tenant);
+    const { metadata } = await OidcClient.discover(sso.issuer);
+
+    const state = base64url(32);
+    const nonce = base64url(16);
+    const codeVerifier = base64url(32);
+    const now = new Date();
+
+    await SsoService.getStateCollection().insertOne({
+      state_hash: sha256(state, 'hex'),
+      organization_id: tenant.id,
+      nonce,
+      code_verifier: codeVerifier,
+      link_admin_id: linkAdminId,
+      created_at: now,
+      expires_at: new Date(now.getTime() + config.ssoStateTtlMinutes * 60 * 1000),
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', sso.client_id);
+    url.searchParams.set('redirect_uri', config.ssoRedirectUri);
+    url.searchParams.set('scope', 'openid email profile');
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', sha256(codeVerifier, 'base64url'));
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (loginHint) {
+      url.searchParams.set('login_hint', loginHint);
+    }
+
+    return { authorization_url: url.toString() };
+  }
+
+  // The provider vouches for the address and it belongs to one of the
+  // org's domains
+  static checkEmail(claims, sso) {
+    const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : null;
+    if (!email || claims.email_verified !== true) {
+      throw new AuthError('Identity provider did not return a verified email');
+    }
+
+    const domain = email.split('@').pop();
+    if (!sso.allowed_domains.includes(domain)) {
+      throw new ForbiddenError(`Email domain ${domain} is not allowed for this organization`);
+    }
+    return email;
+  }
+
+  // Platform super admins only ever sign in with a password, whatever
+  // the provider of an org says
+  static assertOrgAdmin(admin) {
+    if (admin.role === 'admin' || !admin.organization_id) {
+      throw new ForbiddenError('Super admins cannot use single sign-on');
+    }
+  }
+
+  // Finds the admin linked to the provider's subject, else creates one when
+  // just-in-time provisioning is on and the email is not taken. An admin
+  // who already has the email must link the identity from a session of
+  // their own first (see startLink), and an identity never maps to an
+  // admin of another organization.
+  static async resolveAdmin(tenant, sso, claims, email) {
+    const db = DatabaseManager.getInstance().getDb();
+    const admins = db.collection(config.adminCollection);
+    const link = { issuer: sso.issuer, subject: claims.sub };
+
+    const linked = await admins.findOne({ 'sso.issuer': link.issuer, 'sso.subject': link.subject });
+    if (linked) {
+      SsoService.assertOrgAdmin(linked);
+      if (linked.organization_id !== tenant.id) {
+        throw new ForbiddenError('Identity is linked to another organization');
+      }
+      return { admin: linked, provisioned: false };
+    }
+
+    const existing = await admins.findOne({ admin_email: email });
+    if (existing) {
+      if (existing.organization_id !== tenant.id) {
+        throw new ForbiddenError('Email is registered with another organization');
+      }
+      throw new ForbiddenError(
+        'Sign in with your password and link this identity before using single sign-on',
+        { code: 'SSO_LINK_REQUIRED' }
+      );
+    }
+
+    if (!sso.jit_provisioning) {
+      throw new ForbiddenError('No admin account exists for this identity');
+    }
+
+    // No password: these admins sign in through the provider only
+    const admin = {
+      admin_email: email,
+      password: null,
+      role: 'org_admin',
+      organization_id: tenant.id,
+      organization_name: tenant.name,
+      created_at: new Date(),
+      is_active: true,
+      email_verified: true,
+      sso: { ...link, linked_at: new Date() },
+    };
+
+    try {
+      const result = await admins.insertOne(admin);
+      admin._id = result.insertedId;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ForbiddenError('Email is registered with another organization');
+      }
+      throw error;
+    }
+
+    logger.info('Admin provisioned through SSO', { admin_id: admin._id, org: tenant.name });
+    return { admin, provisioned: true };
+  }
+
+  // Callback of a link started by startLink. The identity must carry the
+  // admin's own email and not be linked to anybody yet.
+  static async linkAdmin(tenant, sso, claims, email, adminId) {
+    const db = DatabaseManager.getInstance().getDb();
+    const admins = db.collection(config.adminCollection);
+
+    const admin = await admins.findOne({ _id: new ObjectId(adminId) });
+    if (!admin || admin.organization_id !== tenant.id) {
+      throw new AuthError('Invalid or expired SSO state');
+    }
+    SsoService.assertOrgAdmin(admin);
+    if (admin.admin_email !== email) {
+      throw new ForbiddenError('Identity email does not match the admin being linked');
+    }
+
+    const link = { issuer: sso.issuer, subject: claims.sub };
+    const taken = await admins.findOne({ 'sso.issuer': link.issuer, 'sso.subject': link.subject });
+    if (taken) {
+      throw new ConflictError('Identity is already linked to an admin');
+    }
+
+    // Conditional, so two links started side by side cannot both land
+    const linkedSso = { ...link, linked_at: new Date() };
+    const result = await admins.updateOne(
+      { _id: admin._id, sso: { $exists: false } },
+      { $set: { sso: linkedSso } }
+    );
+    if (result.matchedCount === 0) {
+      throw new ConflictError('Admin is already linked to an SSO identity');
+    }
+
+    logger.info('Admin linked to SSO identity', { admin_id: admin._id, org: tenant.name });
+
+    return {
+      message: 'SSO identity linked',
+      admin_id: admin._id.toString(),
+      admin_email: admin.admin_email,
+      organization_id: tenant.id,
+      organization_name: tenant.name,
+      linked_at: linkedSso.linked_at.toISOString(),
+    };
+  }
+
+  // Second leg: the provider sent the browser back with a code. The state
+  // is single use, so a replayed callback fails here.
+  static async completeLogin({ code, state }, context = {}) {
+    const stored = await SsoService.getStateCollection().findOneAndDelete({
+      state_hash: sha256(state, 'hex'),
+      expires_at: { $gt: new Date() },
+    });
+    if (!stored) {
+      throw new AuthError('Invalid or expired SSO state');
+    }
+
+    const tenant = await DatabaseManager.getInstance().getTenantById(stored.organization_id);
+    if (tenant.pendingDeletion) {
+      throw new ForbiddenError('Organization is pending deletion', {
+        code: 'ORG_PENDING_DELETION',
+      });
+    }
+
+    const sso = await SsoService.findConfig(tenant);
+    const tokens = await OidcClient.exchangeCode(sso, {
+      code,
+      codeVerifier: stored.code_verifier,
+      redirectUri: config.ssoRedirectUri,
+    });
+    if (!tokens.id_token) {
+      throw new UpstreamError('Identity provider returned no ID token');
+    }
+
+    const claims = await OidcClient.verifyIdToken(tokens.id_token, {
+      issuer: sso.issuer,
+      clientId: sso.client_id,
+      nonce: stored.nonce,
+    });
+    const email = SsoService.checkEmail(claims, sso);
+    if (stored.link_admin_id) {
+      return SsoService.linkAdmin(tenant, sso, claims, email, stored.link_admin_id);
+    }
+
+    const { admin, provisioned } = await SsoService.resolveAdmin(tenant, sso, claims, email);
+
+    // The org runs the provider, so it does not stand in for our second
+    // factor: MFA and the org's MFA policy apply as after a password
+    const result =
+      (await AuthService.secondFactor(admin)) || (await AuthService.issueTokens(admin, context));
+
+    return { ...result, admin_email: admin.admin_email, provisioned };
+  }
+}
+
+export { OidcClient, SsoService };
@@ -1,14 +1,35 @@
 import request from 'supertest';
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { gunzipSync } from 'zlib';
+import { PassThrough, Readable } from 'stream';
 import DatabaseManager from './database.js';
 import config from './config.js';
 import app from './server.js';
+import { OrganizationService, LoginAttemptService, PlanService } from './services.js';
+import { TransferService } from './transfer.js';
+import { createLimiter, MongoStore } from './ratelimit.js';
+import { Migrator } from './migrator.js';
+import { WebhookService, sign } from './webhooks.js';
+import { MockOidcIssuer } from './mockoidc.js';
+import { KeyManager, TokenManager, TotpManager } from './auth.js';
+import { Mailer, MemoryTransport } from './mailer.js';
 
 // Test configuration
 const TEST_ORG_NAME = 'Test Company';
 const TEST_EMAIL = 'admin@testcompany.com';
 const TEST_PASSWORD = 'testpassword123';
 
+const mailTransport = new MemoryTransport();
+Mailer.getInstance().setTransport(mailTransport);
+
 let authToken = null;
+let refreshToken = null;
+let adminId = null;
 
 describe('Organization Management Service', () => {
   beforeAll(async () => {
@@ -19,11 +40,19 @@ describe('Organization Management Service', () => {
     } catch (e) {
       // Already connected
     }
+
+    // Rate limit counters live in the database and would outlast the last run
+    await dbManager.getDb().collection(config.rateLimitCollection).deleteMany({});
   });
 
   afterAll(async () => {
-    // Cleanup
+    // Cleanup: expire the retention window so the soft-deleted test org is purged
     const dbManager = DatabaseManager.getInstance();
+    await dbManager
+      .getDb()
+      .collection(config.masterCollection)
+      .updateOne({ organization_name: TEST_ORG_NAME }, { $set: { purge_after: new Date(0) } });
+    await OrganizationService.purgeDeletedOrganizations();
     await dbManager.disconnect();
   });
 
@@ -51,6 +80,7 @@ describe('Organization Management Service', () => {
       expect(response.body.organization_name).toBe(TEST_ORG_NAME);
       expect(response.body.db_name).toBe('org_test_company');
       expect(response.body.admin_email).toBe(TEST_EMAIL);
+      expect(response.body.email_verified).toBe(false);
       expect(response.body.message).toBe('Organization created successfully');
     });
 
@@ -79,6 +109,24 @@ describe('Organization Management Service', () => {
       expect(response.status).toBe(400);
       expect(response.body.error).toContain('Invalid email');
     });
+
+    test('POST /org/create should not leave a reservation behind when it fails', async () => {
+      const response = await request(app)
+        .post('/org/create')
+        .send({
+          organization_name: 'Duplicate Admin Org',
+          email: TEST_EMAIL,
+          password: TEST_PASSWORD,
+        });
+
+      expect(response.status).toBe(409);
+
+      const getResponse = await request(app)
+        .get('/org/get')
+        .query({ organization_name: 'Duplicate Admin Org' });
+
+      expect(getResponse.status).toBe(404);
+    });
   });
 
   // Organization Retrieval Tests
@@ -91,6 +139,13 @@ describe('Organization Management Service', () => {
       expect(response.status).toBe(200);
       expect(response.body.organization_name).toBe(TEST_ORG_NAME);
       expect(response.body.admin_email).toBe(TEST_EMAIL);
+      expect(response.body.provisioning_status).toBe('active');
+    });
+
+    test('GET /orgs should be restricted to super admins', async () => {
+      const response = await request(app).get('/orgs');
+
+      expect(response.status).toBe(401);
     });
 
     test('GET /org/get should return 404 for non-existent organization', async () => {
@@ -103,6 +158,67 @@ describe('Organization Management Service', () => {
     });
   });
 
+  describe('Migrations', () => {
+    test('master and tenant databases should be fully migrated', async () => {
+      const dbManager = DatabaseManager.getInstance();
+
+      const master = await Migrator.status(dbManager.getDb(), 'master');
+      expect(master.pending).toEqual([]);
+      expect(master.current).toBe(master.latest);
+
+      const tenant = await Migrator.status(dbManager.getClient().db('org_test_company'), 'tenant');
+      expect(tenant.pending).toEqual([]);
+    });
+
+    test('the migration lock should admit one holder at a time', async () => {
+      const owner = await Migrator.acquireLock('test_lock');
+      expect(owner).toBeTruthy();
+
+      try {
+        expect(await Migrator.acquireLock('test_lock')).toBeNull();
+        await expect(
+          Migrator.withLock('test_lock', async () => {}, { wait: false })
+        ).rejects.toMatchObject({ code: 'MIGRATION_LOCKED' });
+      } finally {
+        await Migrator.releaseLock('test_lock', owner);
+      }
+
+      await expect(Migrator.withLock('test_lock', async () => 'done')).resolves.toBe('done');
+    });
+  });
+
+  // Email Verification Tests
+  describe('Email Verification', () => {
+    test('POST /admin/login should refuse an unverified admin', async () => {
+      const response = await request(app)
+        .post('/admin/login')
+        .send({
+          email: TEST_EMAIL,
+          password: TEST_PASSWORD,
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    test('POST /auth/verify-email should verify the mailed link', async () => {
+      const mail = mailTransport.messages.find((message) => message.to === TEST_EMAIL);
+      const token = mail.text.match(/token=(\S+)/)[1];
+
+      const response = await request(app).post('/auth/verify-email').send({ token });
+
+      expect(response.status).toBe(200);
+      expect(response.body.admin_email).toBe(TEST_EMAIL);
+
+      const invalidResponse = await request(app)
+        .post('/auth/verify-email')
+        .send({ token: 'not-a-token' });
+
+      expect(invalidResponse.status).toBe(400);
+      mailTransport.clear();
+    });
+  });
+
   // Authentication Tests
   describe('Authentication', () => {
     test('POST /admin/login should return JWT token', async () => {
@@ -118,8 +234,10 @@ describe('Organization Management Service', () => {
       expect(response.body.token_type).toBe('bearer');
       expect(response.body.organization_name).toBe(TEST_ORG_NAME);
 
-      // Save token for later tests
+      // Save tokens for later tests
       authToken = response.body.access_token;
+      refreshToken = response.body.refresh_token;
+      adminId = response.body.admin_id;
     });
 
     test('POST /admin/login should fail with invalid credentials', async () => {
@@ -134,6 +252,27 @@ describe('Organization Management Service', () => {
       expect(response.body.error).toContain('Invalid credentials');
     });
 
+    test('LoginAttemptService should lock an email after repeated failures', async () => {
+      const email = 'unknown-admin@testcompany.com';
+      for (let attempt = 0; attempt < config.loginMaxAttempts; attempt++) {
+        await LoginAttemptService.recordFailure(email);
+      }
+
+      expect(await LoginAttemptService.isLocked(email)).toBe(true);
+
+      await LoginAttemptService.unlock(email);
+      expect(await LoginAttemptService.isLocked(email)).toBe(false);
+    });
+
+    test('POST /admin/unlock should be restricted to super admins', async () => {
+      const response = await request(app)
+        .post('/admin/unlock')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: TEST_EMAIL });
+
+      expect(response.status).toBe(403);
+    });
+
     test('GET /admin/verify-token should verify valid token', async () => {
       const response = await request(app)
         .get('/admin/verify-token')
@@ -152,19 +291,399 @@ describe('Organization Management Service', () => {
     });
   });
 
+  // Multi-Factor Authentication Tests
+  describe('Multi-Factor Authentication', () => {
+    test('GET /admin/verify-token should not accept a refresh token', async () => {
+      const response = await request(app)
+        .get('/admin/verify-token')
+        .set('Authorization', `Bearer ${refreshToken}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('POST /auth/mfa/confirm should enable MFA with a valid code', async () => {
+      const enrollResponse = await request(app)
+        .post('/auth/mfa/enroll')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(enrollResponse.status).toBe(200);
+      expect(enrollResponse.body.provisioning_uri).toMatch(/^otpauth:\/\/totp\//);
+
+      const { secret } = enrollResponse.body;
+      const confirmResponse = await request(app)
+        .post('/auth/mfa/confirm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: TotpManager.generateCode(secret) });
+
+      expect(confirmResponse.status).toBe(200);
+      expect(confirmResponse.body.recovery_codes).toHaveLength(10);
+
+      const statusResponse = await request(app)
+        .get('/auth/mfa')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(statusResponse.body.enabled).toBe(true);
+
+      // Recovery codes work once, then MFA is off again for later tests
+      const [recoveryCode] = confirmResponse.body.recovery_codes;
+      const disableResponse = await request(app)
+        .post('/auth/mfa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: recoveryCode });
+
+      expect(disableResponse.status).toBe(200);
+    });
+
+    test('POST /admin/login/mfa should reject an invalid challenge token', async () => {
+      const response = await request(app)
+        .post('/admin/login/mfa')
+        .send({ mfa_token: refreshToken, code: '123456' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  // Session Tests
+  describe('Sessions', () => {
+    test('GET /auth/sessions should list the current session', async () => {
+      const response = await request(app)
+        .get('/auth/sessions')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const current = response.body.sessions.find((session) => session.current);
+      expect(current).toBeDefined();
+      expect(current.last_used_at).toBeDefined();
+    });
+
+    test('DELETE /auth/sessions/:id should return 404 for unknown sessions', async () => {
+      const response = await request(app)
+        .delete('/auth/sessions/000000000000000000000000')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // Refresh Token Rotation Tests
+  describe('Refresh Token Rotation', () => {
+    test('POST /auth/refresh should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ admin_id: adminId, refresh_token: refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.access_token).toBeDefined();
+      expect(response.body.refresh_token).toBeDefined();
+      expect(response.body.refresh_token).not.toBe(refreshToken);
+    });
+
+    test('POST /auth/refresh should revoke the family when a retired token is reused', async () => {
+      const rotated = await request(app)
+        .post('/auth/refresh')
+        .send({ admin_id: adminId, refresh_token: refreshToken });
+
+      expect(rotated.status).toBe(401);
+      expect(rotated.body.error.message).toContain('reuse');
+    });
+
+    test('a failed refresh should not be audited as the admin it names', async () => {
+      const victimId = crypto.randomBytes(12).toString('hex');
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ admin_id: victimId, refresh_token: 'forged' });
+
+      expect(response.body.access_token).toBeUndefined();
+
+      // The entry is written once the response has finished
+      const audit = DatabaseManager.getInstance().getDb().collection(config.auditCollection);
+      let entry = null;
+      for (let attempt = 0; attempt < 20 && !entry; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        entry = await audit.findOne({ action: 'auth.refresh', target: victimId });
+      }
+
+      expect(entry.outcome).toBe('failure');
+      expect(entry.actor).toEqual({ type: 'anonymous' });
+    });
+
+    test('POST /auth/logout should accept a revoked token idempotently', async () => {
+      const response = await request(app)
+        .post('/auth/logout')
+        .send({ refresh_token: refreshToken });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('POST /auth/logout-all should require authentication', async () => {
+      const response = await request(app).post('/auth/logout-all');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  // Signing Key Tests
+  describe('Signing Keys', () => {
+    let keyDir = null;
+    let keyConfig = null;
+
+    const tokenHeader = (token) =>
+      JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+
+    const writeKey = (name, key, type) => {
+      const file = path.join(keyDir, name);
+      fs.writeFileSync(file, key.export({ type, format: 'pem' }));
+      return file;
+    };
+
+    beforeAll(() => {
+      keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+      const { jwtAlgorithm, jwtPrivateKeyFile, jwtRetiredKeyFiles } = config;
+      keyConfig = { jwtAlgorithm, jwtPrivateKeyFile, jwtRetiredKeyFiles };
+    });
+
+    afterAll(() => {
+      Object.assign(config, keyConfig);
+      KeyManager.reset();
+      fs.rmSync(keyDir, { recursive: true, force: true });
+    });
+
+    test('GET /.well-known/jwks.json should publish nothing while signing with HS256', async () => {
+      const response = await request(app).get('/.well-known/jwks.json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.keys).toEqual([]);
+      expect(tokenHeader(authToken)).toMatchObject({ alg: 'HS256', kid: expect.any(String) });
+    });
+
+    test('retired keys should keep verifying after a rotation', async () => {
+      const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      config.jwtAlgorithm = 'RS256';
+      config.jwtPrivateKeyFile = writeKey('rsa.pem', rsa.privateKey, 'pkcs8');
+      KeyManager.reset();
+
+      const rsaToken = TokenManager.createAccessToken(adminId, 'org', TEST_ORG_NAME);
+      const { kid } = tokenHeader(rsaToken);
+
+      const jwksResponse = await request(app).get('/.well-known/jwks.json');
+      expect(jwksResponse.body.keys).toEqual([
+        expect.objectContaining({ kty: 'RSA', alg: 'RS256', use: 'sig', kid }),
+      ]);
+      expect(() => TokenManager.verifyToken(authToken)).toThrow('unknown signing key');
+
+      const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+      config.jwtAlgorithm = 'ES256';
+      config.jwtPrivateKeyFile = writeKey('ec.pem', ec.privateKey, 'pkcs8');
+      config.jwtRetiredKeyFiles = [writeKey('rsa.pub.pem', rsa.publicKey, 'spki')];
+      KeyManager.reset();
+
+      const ecToken = TokenManager.createAccessToken(adminId, 'org', TEST_ORG_NAME);
+      expect(tokenHeader(ecToken).alg).toBe('ES256');
+      expect(TokenManager.verifyToken(ecToken).sub).toBe(adminId);
+      expect(TokenManager.verifyToken(rsaToken).sub).toBe(adminId);
+
+      const rotatedResponse = await request(app).get('/.well-known/jwks.json');
+      expect(rotatedResponse.body.keys.map((key) => key.alg)).toEqual(['ES256', 'RS256']);
+    });
+  });
+
+  // Audit Log Tests
+  describe('Audit Log', () => {
+    test('GET /org/audit should list the organization trail', async () => {
+      const response = await request(app)
+        .get('/org/audit')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const actions = response.body.entries.map((entry) => entry.action);
+      expect(actions).toContain('admin.login');
+      expect(actions).toContain('org.create');
+    });
+
+    test('GET /audit should be restricted to super admins', async () => {
+      const response = await request(app)
+        .get('/audit')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // Organization Listing Tests
+  describe('Organization Listing', () => {
+    test('GET /orgs should reject organization admins', async () => {
+      const response = await request(app)
+        .get('/orgs')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  // Password Reset Tests
+  describe('Password Reset', () => {
+    test('POST /auth/forgot-password should not reveal unknown emails', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: 'nobody@testcompany.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['ratelimit-limit']).toBe('5');
+      expect(response.headers['ratelimit-remaining']).toBeDefined();
+      expect(mailTransport.messages).toHaveLength(0);
+    });
+
+    test('POST /auth/reset-password should consume a single-use token', async () => {
+      const response = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: TEST_EMAIL });
+
+      expect(response.status).toBe(200);
+      const mail = mailTransport.messages.pop();
+      expect(mail.to).toBe(TEST_EMAIL);
+      const token = mail.text.match(/token=([0-9a-f]{64})/)[1];
+
+      const resetResponse = await request(app)
+        .post('/auth/reset-password')
+        .send({ token, password: TEST_PASSWORD });
+
+      expect(resetResponse.status).toBe(200);
+
+      const reuseResponse = await request(app)
+        .post('/auth/reset-password')
+        .send({ token, password: TEST_PASSWORD });
+
+      expect(reuseResponse.status).toBe(400);
+    });
+  });
+
+  // Rate Limit Tests
+  describe('Rate Limiting', () => {
+    // A bare app around one limiter, answering errors the way server.js does
+    const appWithLimiter = (name) => {
+      const limitedApp = express();
+      limitedApp.use(express.json());
+      limitedApp.post('/limited', createLimiter(name, 'Slow down'), (req, res) => {
+        res.sendStatus(204);
+      });
+      limitedApp.use((err, req, res, next) => {
+        res.status(err.status).json({ error: { code: err.code, message: err.message } });
+      });
+      return limitedApp;
+    };
+
+    afterEach(() => {
+      delete config.rateLimits.testAccount;
+      delete config.rateLimits.testOrg;
+    });
+
+    test('MongoStore should count hits within a window and start a new one after it', async () => {
+      const store = new MongoStore('test_store');
+      store.init({ windowMs: 60 * 1000 });
+
+      expect((await store.increment('key')).totalHits).toBe(1);
+      expect((await store.increment('key')).totalHits).toBe(2);
+      expect((await store.get('key')).totalHits).toBe(2);
+
+      await store.decrement('key');
+      expect((await store.get('key')).totalHits).toBe(1);
+
+      // An expired window the TTL monitor has not removed yet
+      await DatabaseManager.getInstance()
+        .getDb()
+        .collection(config.rateLimitCollection)
+        .updateOne(
+          { _id: 'test_store:key' },
+          { $set: { expires_at: new Date(Date.now() - 1000) } }
+        );
+
+      expect(await store.get('key')).toBeUndefined();
+      expect((await store.increment('key')).totalHits).toBe(1);
+
+      await store.resetKey('key');
+      expect(await store.get('key')).toBeUndefined();
+    });
+
+    test('account limits should count each email separately and answer 429 past max', async () => {
+      config.rateLimits.testAccount = { windowMinutes: 15, max: 2, key: 'account' };
+      const limitedApp = appWithLimiter('testAccount');
+
+      for (let i = 0; i < 2; i += 1) {
+        const response = await request(limitedApp)
+          .post('/limited')
+          .send({ email: 'A@example.com' });
+        expect(response.status).toBe(204);
+      }
+
+      const limitedResponse = await request(limitedApp)
+        .post('/limited')
+        .send({ email: 'a@example.com ' });
+
+      expect(limitedResponse.status).toBe(429);
+      expect(limitedResponse.body.error.code).toBe('RATE_LIMITED');
+      expect(limitedResponse.headers['ratelimit-remaining']).toBe('0');
+
+      const otherResponse = await request(limitedApp)
+        .post('/limited')
+        .send({ email: 'b@example.com' });
+
+      expect(otherResponse.status).toBe(204);
+
+      const counter = await DatabaseManager.getInstance()
+        .getDb()
+        .collection(config.rateLimitCollection)
+        .findOne({ _id: 'testAccount:account:a@example.com' });
+      expect(counter.hits).toBe(3);
+    });
+
+    test('org limits should count each organization separately', async () => {
+      config.rateLimits.testOrg = { windowMinutes: 15, max: 1, key: 'org' };
+      const limitedApp = appWithLimiter('testOrg');
+      const send = (organizationName) =>
+        request(limitedApp).post('/limited').send({ organization_name: organizationName });
+
+      expect((await send('Org A')).status).toBe(204);
+      expect((await send('Org A')).status).toBe(429);
+      expect((await send('Org B')).status).toBe(204);
+    });
+  });
+
   // Organization Update Tests
   describe('Organization Update', () => {
     test('PUT /org/update should update organization credentials', async () => {
+      // Another admin of the org, as SSO provisions them, stays untouched
+      const admins = DatabaseManager.getInstance().getDb().collection(config.adminCollection);
+      const tenant = await DatabaseManager.getInstance().getTenantByName(TEST_ORG_NAME);
+      const { insertedId } = await admins.insertOne({
+        admin_email: 'sso-first@testcompany.com',
+        password: null,
+        role: 'org_admin',
+        organization_id: tenant.id,
+        organization_name: TEST_ORG_NAME,
+        email_verified: true,
+        sso: { issuer: 'https://idp.example.com', subject: 'sso-first' },
+      });
+
       const response = await request(app)
         .put('/org/update')
+        .set('Authorization', `Bearer ${authToken}`)
         .send({
           organization_name: TEST_ORG_NAME,
           email: 'newemail@testcompany.com',
           password: 'newpassword123',
         });
 
+      const other = await admins.findOneAndDelete({ _id: insertedId });
+
       expect(response.status).toBe(200);
       expect(response.body.message).toBe('Organization updated successfully');
+      expect(other).toMatchObject({ admin_email: 'sso-first@testcompany.com', password: null });
+
+      // The new address has to be verified before it can log in
+      const mail = mailTransport.messages.pop();
+      expect(mail.to).toBe('newemail@testcompany.com');
+      const token = mail.text.match(/token=(\S+)/)[1];
+      await request(app).post('/auth/verify-email').send({ token });
 
       // Verify old password doesn't work
       const loginResponse = await request(app)
@@ -187,34 +706,1163 @@ describe('Organization Management Service', () => {
       expect(newLoginResponse.status).toBe(200);
       authToken = newLoginResponse.body.access_token;
     });
+
+    test('PUT /org/update should replace the owner credentials for user login', async () => {
+      const oldEmailResponse = await request(app)
+        .post('/org/users/login')
+        .send({ organization_name: TEST_ORG_NAME, email: TEST_EMAIL, password: TEST_PASSWORD });
+
+      expect(oldEmailResponse.status).toBe(401);
+
+      const oldPasswordResponse = await request(app).post('/org/users/login').send({
+        organization_name: TEST_ORG_NAME,
+        email: 'newemail@testcompany.com',
+        password: TEST_PASSWORD,
+      });
+
+      expect(oldPasswordResponse.status).toBe(401);
+
+      const newLoginResponse = await request(app).post('/org/users/login').send({
+        organization_name: TEST_ORG_NAME,
+        email: 'newemail@testcompany.com',
+        password: 'newpassword123',
+      });
+
+      expect(newLoginResponse.status).toBe(200);
+    });
+
+    test('PUT /org/update should refuse tenant users, even org admins', async () => {
+      const loginResponse = await request(app).post('/org/users/login').send({
+        organization_name: TEST_ORG_NAME,
+        email: 'newemail@testcompany.com',
+        password: 'newpassword123',
+      });
+      expect(TokenManager.verifyToken(loginResponse.body.access_token).role).toBe('org_admin');
+
+      const response = await request(app)
+        .put('/org/update')
+        .set('Authorization', `Bearer ${loginResponse.body.access_token}`)
+        .send({
+          organization_name: TEST_ORG_NAME,
+          email: 'takeover@testcompany.com',
+          password: 'takeover123',
+        });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
   });
 
-  // Organization Deletion Tests
-  describe('Organization Deletion', () => {
-    test('DELETE /org/delete should require authentication', async () => {
+  // Organization Settings Tests
+  describe('Organization Settings', () => {
+    test('GET /org/settings should return defaults with a version', async () => {
       const response = await request(app)
-        .delete('/org/delete')
-        .query({ organization_name: TEST_ORG_NAME });
+        .get('/org/settings')
+        .set('Authorization', `Bearer ${authToken}`);
 
-      expect(response.status).toBe(401);
+      expect(response.status).toBe(200);
+      expect(response.body.version).toBe(0);
+      expect(response.body.settings.timezone).toBe('UTC');
+      expect(response.headers.etag).toBe('"0"');
     });
 
-    test('DELETE /org/delete should delete organization with valid token', async () => {
+    test('PATCH /org/settings should apply a merge patch as a new version', async () => {
       const response = await request(app)
-        .delete('/org/delete')
+        .patch('/org/settings')
         .set('Authorization', `Bearer ${authToken}`)
-        .query({ organization_name: TEST_ORG_NAME });
+        .set('Content-Type', 'application/merge-patch+json')
+        .send({
+          display_name: 'Test Co.',
+          timezone: 'Europe/Berlin',
+          contact: { email: 'support@testcompany.com' },
+          features: { beta_dashboard: true },
+        });
 
       expect(response.status).toBe(200);
-      expect(response.body.message).toBe('Organization deleted successfully');
+      expect(response.body.version).toBe(1);
+
+      const patchResponse = await request(app)
+        .patch('/org/settings')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', '"1"')
+        .send({ display_name: null, features: { beta_dashboard: null, sso: false } });
+
+      expect(patchResponse.status).toBe(200);
+      expect(patchResponse.body.version).toBe(2);
+      expect(patchResponse.body.settings.display_name).toBeUndefined();
+      expect(patchResponse.body.settings.timezone).toBe('Europe/Berlin');
+      expect(patchResponse.body.settings.contact.email).toBe('support@testcompany.com');
+      expect(patchResponse.body.settings.features).toEqual({ sso: false });
+
+      const historyResponse = await request(app)
+        .get('/org/settings/history')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(historyResponse.status).toBe(200);
+      expect(historyResponse.body.versions.map((entry) => entry.version)).toEqual([2, 1]);
+    });
+
+    test('PATCH /org/settings should reject stale versions and invalid values', async () => {
+      const staleResponse = await request(app)
+        .patch('/org/settings')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', '"1"')
+        .send({ locale: 'de-DE' });
+
+      expect(staleResponse.status).toBe(412);
+
+      const invalidResponse = await request(app)
+        .patch('/org/settings')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ timezone: 'Mars/Olympus_Mons' });
+
+      expect(invalidResponse.status).toBe(400);
+      expect(invalidResponse.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  // Organization User Tests
+  describe('Organization Users', () => {
+    const TEST_USER_EMAIL = 'member@testcompany.com';
+    let userId = null;
+    let memberToken = null;
+
+    test('POST /org/users should require authentication', async () => {
+      const response = await request(app)
+        .post('/org/users')
+        .send({ email: TEST_USER_EMAIL, password: TEST_PASSWORD });
+
+      expect(response.status).toBe(401);
     });
 
-    test('GET /org/get should return 404 after deletion', async () => {
+    test('POST /org/users should create a user in the organization', async () => {
       const response = await request(app)
-        .get('/org/get')
-        .query({ organization_name: TEST_ORG_NAME });
+        .post('/org/users')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: TEST_USER_EMAIL, password: TEST_PASSWORD, name: 'Member' });
 
-      expect(response.status).toBe(404);
+      expect(response.status).toBe(201);
+      expect(response.body.email).toBe(TEST_USER_EMAIL);
+      expect(response.body.role).toBe('member');
+      expect(response.body.password).toBeUndefined();
+      userId = response.body.id;
+    });
+
+    test('POST /org/users should prevent duplicate emails', async () => {
+      const response = await request(app)
+        .post('/org/users')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: TEST_USER_EMAIL, password: TEST_PASSWORD });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('GET /org/users should paginate users', async () => {
+      const response = await request(app)
+        .get('/org/users')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ page: 1, limit: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.users).toHaveLength(1);
+      expect(response.body.total).toBeGreaterThanOrEqual(2);
+    });
+
+    test('PUT /org/users/:id should update a user', async () => {
+      const response = await request(app)
+        .put(`/org/users/${userId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Renamed Member' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Renamed Member');
+    });
+
+    test('POST /org/users/login should issue an org-scoped token', async () => {
+      const response = await request(app)
+        .post('/org/users/login')
+        .send({
+          organization_name: TEST_ORG_NAME,
+          email: TEST_USER_EMAIL,
+          password: TEST_PASSWORD,
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.organization_name).toBe(TEST_ORG_NAME);
+
+      memberToken = response.body.access_token;
+      const membersResponse = await request(app)
+        .get('/org/users')
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(membersResponse.status).toBe(403);
+    });
+
+    test('Custom roles should apply to existing tokens', async () => {
+      const roleResponse = await request(app)
+        .post('/org/roles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'viewer', permissions: ['users:read'] });
+
+      expect(roleResponse.status).toBe(201);
+
+      const assignResponse = await request(app)
+        .put(`/org/users/${userId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'viewer' });
+
+      expect(assignResponse.status).toBe(200);
+
+      const membersResponse = await request(app)
+        .get('/org/users')
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(membersResponse.status).toBe(200);
+
+      const escalateResponse = await request(app)
+        .put(`/org/users/${userId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ role: 'org_admin' });
+
+      expect(escalateResponse.status).toBe(403);
+    });
+
+    test('users:write should not reach users whose role grants more', async () => {
+      const roleResponse = await request(app)
+        .post('/org/roles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'user_manager', permissions: ['users:read', 'users:write'] });
+
+      expect(roleResponse.status).toBe(201);
+
+      const assignResponse = await request(app)
+        .put(`/org/users/${userId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ role: 'user_manager' });
+
+      expect(assignResponse.status).toBe(200);
+
+      const adminResponse = await request(app)
+        .post('/org/users')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          email: 'second-admin@testcompany.com',
+          password: TEST_PASSWORD,
+          role: 'org_admin',
+        });
+
+      expect(adminResponse.status).toBe(201);
+      const adminUserId = adminResponse.body.id;
+
+      const passwordResponse = await request(app)
+        .put(`/org/users/${adminUserId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ password: 'takenover123' });
+
+      expect(passwordResponse.status).toBe(403);
+
+      const deactivateResponse = await request(app)
+        .post(`/org/users/${adminUserId}/deactivate`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(deactivateResponse.status).toBe(403);
+
+      const deleteResponse = await request(app)
+        .delete(`/org/users/${adminUserId}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(deleteResponse.status).toBe(403);
+
+      await request(app)
+        .delete(`/org/users/${adminUserId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+    });
+
+    test('PUT /org/users/:id should not change the organization owner', async () => {
+      const org = await DatabaseManager.getInstance()
+        .getDb()
+        .collection(config.masterCollection)
+        .findOne({ organization_name: TEST_ORG_NAME });
+
+      for (const update of [{ password: 'takenover123' }, { role: 'member' }]) {
+        const response = await request(app)
+          .put(`/org/users/${org.admin_user_id}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(update);
+
+        expect(response.status).toBe(403);
+      }
+
+      const loginResponse = await request(app).post('/org/users/login').send({
+        organization_name: TEST_ORG_NAME,
+        email: 'newemail@testcompany.com',
+        password: 'newpassword123',
+      });
+
+      expect(loginResponse.status).toBe(200);
+    });
+
+    test('POST /org/roles should not reuse built-in role names', async () => {
+      const response = await request(app)
+        .post('/org/roles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'org_admin', permissions: [] });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('POST /org/users/:id/deactivate should disable a user', async () => {
+      const response = await request(app)
+        .post(`/org/users/${userId}/deactivate`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.is_active).toBe(false);
+    });
+
+    test('DELETE /org/users/:id should remove a user', async () => {
+      const response = await request(app)
+        .delete(`/org/users/${userId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+
+      const getResponse = await request(app)
+        .get(`/org/users/${userId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(getResponse.status).toBe(404);
+      expect(getResponse.body.error.code).toBe('NOT_FOUND');
+    });
+
+    test('GET /org/users/:id should answer with problem+json when asked', async () => {
+      const response = await request(app)
+        .get(`/org/users/${userId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Accept', 'application/problem+json');
+
+      expect(response.status).toBe(404);
+      expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+      expect(response.body).toMatchObject({
+        title: 'Not Found',
+        status: 404,
+        detail: 'User not found',
+        code: 'NOT_FOUND',
+        instance: `/org/users/${userId}`,
+      });
+    });
+  });
+
+  // Invitation Tests
+  describe('Invitations', () => {
+    const INVITEE_EMAIL = 'invitee@testcompany.com';
+    let invitationToken = null;
+
+    test('POST /org/invitations should mail a single-use link', async () => {
+      const response = await request(app)
+        .post('/org/invitations')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: INVITEE_EMAIL, role: 'viewer' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.status).toBe('pending');
+      expect(response.body.token_hash).toBeUndefined();
+
+      const mail = mailTransport.messages.pop();
+      expect(mail.to).toBe(INVITEE_EMAIL);
+      invitationToken = mail.text.match(/token=([0-9a-f]{64})/)[1];
+
+      const duplicateResponse = await request(app)
+        .post('/org/invitations')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: INVITEE_EMAIL });
+
+      expect(duplicateResponse.status).toBe(409);
+    });
+
+    test('POST /org/invitations/accept should create the tenant user', async () => {
+      const response = await request(app)
+        .post('/org/invitations/accept')
+        .send({ token: invitationToken, password: TEST_PASSWORD, name: 'Invitee' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.organization_name).toBe(TEST_ORG_NAME);
+      expect(response.body.user.email).toBe(INVITEE_EMAIL);
+      expect(response.body.user.role).toBe('viewer');
+
+      const replayResponse = await request(app)
+        .post('/org/invitations/accept')
+        .send({ token: invitationToken, password: TEST_PASSWORD });
+
+      expect(replayResponse.status).toBe(400);
+    });
+
+    test('DELETE /org/invitations/:id should revoke a pending invitation', async () => {
+      const createResponse = await request(app)
+        .post('/org/invitations')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ email: 'second-invitee@testcompany.com' });
+      const invitationId = createResponse.body.id;
+      const token = mailTransport.messages.pop().text.match(/token=([0-9a-f]{64})/)[1];
+
+      const listResponse = await request(app)
+        .get('/org/invitations')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(listResponse.status).toBe(200);
+      expect(listResponse.body.invitations.map((i) => i.id)).toEqual([invitationId]);
+
+      const revokeResponse = await request(app)
+        .delete(`/org/invitations/${invitationId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(revokeResponse.status).toBe(200);
+
+      const acceptResponse = await request(app)
+        .post('/org/invitations/accept')
+        .send({ token, password: TEST_PASSWORD });
+
+      expect(acceptResponse.status).toBe(400);
+    });
+  });
+
+  // API Key Tests
+  describe('API Keys', () => {
+    let apiKey = null;
+    let apiKeyId = null;
+
+    test('POST /org/api-keys should return the key only once', async () => {
+      const response = await request(app)
+        .post('/org/api-keys')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Reporting', scopes: ['users:read'] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.key).toMatch(/^ak_[0-9a-f]{8}_/);
+      expect(response.body.key.startsWith(response.body.prefix)).toBe(true);
+      apiKey = response.body.key;
+      apiKeyId = response.body.id;
+
+      const listResponse = await request(app)
+        .get('/org/api-keys')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const listed = listResponse.body.api_keys.find((key) => key.id === apiKeyId);
+      expect(listed.prefix).toBe(response.body.prefix);
+      expect(listed.key).toBeUndefined();
+    });
+
+    test('API keys should be limited to their scopes', async () => {
+      const readResponse = await request(app).get('/org/users').set('X-API-Key', apiKey);
+
+      expect(readResponse.status).toBe(200);
+
+      const writeResponse = await request(app)
+        .post('/org/users')
+        .set('X-API-Key', apiKey)
+        .send({ email: 'robot@testcompany.com', password: TEST_PASSWORD });
+
+      expect(writeResponse.status).toBe(403);
+      expect(writeResponse.body.error.code).toBe('INSUFFICIENT_PERMISSION');
+    });
+
+    test('DELETE /org/api-keys/:id should revoke the key', async () => {
+      const response = await request(app)
+        .delete(`/org/api-keys/${apiKeyId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+
+      const revokedResponse = await request(app).get('/org/users').set('X-API-Key', apiKey);
+
+      expect(revokedResponse.status).toBe(401);
+    });
+  });
+
+  // Single Sign-On Tests
+  describe('Single Sign-On', () => {
+    const SSO_EMAIL = 'sso-admin@testcompany.com';
+    let issuer = null;
+
+    // Runs the browser's part: start, then let the mock provider redirect
+    // back with a code
+    const signIn = async (email) => {
+      const start = await request(app)
+        .get('/auth/sso/start')
+        .query({ organization_name: TEST_ORG_NAME, login_hint: email });
+      expect(start.status).toBe(302);
+
+      const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+      const callback = new URL(authorize.headers.get('location'));
+      return Object.fromEntries(callback.searchParams);
+    };
+
+    beforeAll(async () => {
+      // The mock provider is a plain http server on this machine
+      config.ssoAllowLocalIssuers = true;
+      issuer = await new MockOidcIssuer().start();
+    });
+
+    afterAll(async () => {
+      config.ssoAllowLocalIssuers = false;
+      await issuer.stop();
+      await DatabaseManager.getInstance()
+        .getDb()
+        .collection(config.adminCollection)
+        .deleteOne({ admin_email: SSO_EMAIL });
+    });
+
+    test('PUT /org/sso should refuse local and private issuers by default', async () => {
+      config.ssoAllowLocalIssuers = false;
+      try {
+        for (const url of [issuer.issuer, 'https://127.0.0.1:1']) {
+          const response = await request(app)
+            .put('/org/sso')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({
+              issuer: url,
+              client_id: issuer.clientId,
+              client_secret: issuer.clientSecret,
+              allowed_domains: ['testcompany.com'],
+            });
+
+          expect(response.status).toBe(400);
+        }
+      } finally {
+        config.ssoAllowLocalIssuers = true;
+      }
+    });
+
+    test('PUT /org/sso should store the provider without returning the secret', async () => {
+      const response = await request(app)
+        .put('/org/sso')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          issuer: issuer.issuer,
+          client_id: issuer.clientId,
+          client_secret: issuer.clientSecret,
+          allowed_domains: ['testcompany.com'],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sso).toMatchObject({
+        issuer: issuer.issuer,
+        allowed_domains: ['testcompany.com'],
+        jit_provisioning: true,
+      });
+      expect(response.body.sso.client_secret).toBeUndefined();
+    });
+
+    test('GET /auth/sso/start should redirect with PKCE', async () => {
+      const response = await request(app)
+        .get('/auth/sso/start')
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(response.status).toBe(302);
+      const location = new URL(response.headers.location);
+      expect(location.origin).toBe(issuer.issuer);
+      expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(location.searchParams.get('state')).toBeTruthy();
+      expect(location.searchParams.get('nonce')).toBeTruthy();
+    });
+
+    test('GET /auth/sso/callback should provision the admin and issue tokens once', async () => {
+      const params = await signIn(SSO_EMAIL);
+
+      const response = await request(app).get('/auth/sso/callback').query(params);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        admin_email: SSO_EMAIL,
+        organization_name: TEST_ORG_NAME,
+        provisioned: true,
+      });
+      expect(TokenManager.verifyToken(response.body.access_token).sub).toBe(response.body.admin_id);
+
+      const replayResponse = await request(app).get('/auth/sso/callback').query(params);
+
+      expect(replayResponse.status).toBe(401);
+    });
+
+    test('password resets should be refused for admins provisioned through SSO', async () => {
+      const sent = mailTransport.messages.length;
+      const forgotResponse = await request(app)
+        .post('/auth/forgot-password')
+        .send({ email: SSO_EMAIL });
+
+      expect(forgotResponse.status).toBe(200);
+      expect(mailTransport.messages).toHaveLength(sent);
+
+      // A link issued before the admin came in through SSO is no good either
+      const db = DatabaseManager.getInstance().getDb();
+      const admin = await db.collection(config.adminCollection).findOne({ admin_email: SSO_EMAIL });
+      const token = crypto.randomBytes(32).toString('hex');
+      await db.collection(config.passwordResetCollection).insertOne({
+        admin_id: admin._id.toString(),
+        token_hash: TokenManager.hashToken(token),
+        created_at: new Date(),
+        expires_at: new Date(Date.now() + 60 * 1000),
+        used_at: null,
+      });
+
+      const resetResponse = await request(app)
+        .post('/auth/reset-password')
+        .send({ token, password: 'ssopassword123' });
+
+      expect(resetResponse.status).toBe(400);
+      const stored = await db.collection(config.adminCollection).findOne({ _id: admin._id });
+      expect(stored.password).toBeNull();
+    });
+
+    test('GET /auth/sso/callback should not link a password admin by email', async () => {
+      const params = await signIn('newemail@testcompany.com');
+
+      const response = await request(app).get('/auth/sso/callback').query(params);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('SSO_LINK_REQUIRED');
+    });
+
+    test('POST /auth/sso/link should link the signed-in admin after an MFA code', async () => {
+      const noMfaResponse = await request(app)
+        .post('/auth/sso/link')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '123456' });
+
+      expect(noMfaResponse.status).toBe(403);
+      expect(noMfaResponse.body.error.code).toBe('MFA_REQUIRED');
+
+      const enrollResponse = await request(app)
+        .post('/auth/mfa/enroll')
+        .set('Authorization', `Bearer ${authToken}`);
+      const confirmResponse = await request(app)
+        .post('/auth/mfa/confirm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: TotpManager.generateCode(enrollResponse.body.secret) });
+      const [linkCode, disableCode] = confirmResponse.body.recovery_codes;
+
+      try {
+        const linkResponse = await request(app)
+          .post('/auth/sso/link')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ code: linkCode });
+
+        expect(linkResponse.status).toBe(200);
+
+        const authorize = await fetch(linkResponse.body.authorization_url, { redirect: 'manual' });
+        const params = Object.fromEntries(new URL(authorize.headers.get('location')).searchParams);
+        const callbackResponse = await request(app).get('/auth/sso/callback').query(params);
+
+        expect(callbackResponse.status).toBe(200);
+        expect(callbackResponse.body).toMatchObject({
+          message: 'SSO identity linked',
+          admin_email: 'newemail@testcompany.com',
+        });
+        expect(callbackResponse.body.access_token).toBeUndefined();
+
+        // Signing in through the provider still asks for the second factor
+        const loginResponse = await request(app)
+          .get('/auth/sso/callback')
+          .query(await signIn('newemail@testcompany.com'));
+
+        expect(loginResponse.status).toBe(200);
+        expect(loginResponse.body.mfa_required).toBe(true);
+        expect(loginResponse.body.access_token).toBeUndefined();
+      } finally {
+        await request(app)
+          .post('/auth/mfa/disable')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ code: disableCode });
+        await DatabaseManager.getInstance()
+          .getDb()
+          .collection(config.adminCollection)
+          .updateOne({ admin_email: 'newemail@testcompany.com' }, { $unset: { sso: '' } });
+      }
+    });
+
+    test('GET /auth/sso/callback should refuse emails outside the allowed domains', async () => {
+      const params = await signIn('someone@elsewhere.com');
+
+      const response = await request(app).get('/auth/sso/callback').query(params);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.code).toBe('FORBIDDEN');
+    });
+
+    test('DELETE /org/sso should turn single sign-on off', async () => {
+      const response = await request(app)
+        .delete('/org/sso')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+
+      const startResponse = await request(app)
+        .get('/auth/sso/start')
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(startResponse.status).toBe(404);
+    });
+  });
+
+  // Tenant Isolation Tests
+  describe('Tenant Isolation', () => {
+    const OTHER_ORG_NAME = 'Other Company';
+    let otherOrg = null;
+    let otherToken = null;
+
+    beforeAll(async () => {
+      otherOrg = await OrganizationService.createOrganization(
+        OTHER_ORG_NAME,
+        'admin@othercompany.com',
+        TEST_PASSWORD
+      );
+      const admin = await DatabaseManager.getInstance()
+        .getDb()
+        .collection(config.adminCollection)
+        .findOne({ admin_email: 'admin@othercompany.com' });
+      otherToken = TokenManager.createAccessToken(
+        admin._id.toString(),
+        otherOrg.id,
+        OTHER_ORG_NAME
+      );
+    });
+
+    afterAll(async () => {
+      const dbManager = DatabaseManager.getInstance();
+      await dbManager.deleteOrgDatabase(otherOrg.db_name);
+      await dbManager
+        .getDb()
+        .collection(config.adminCollection)
+        .deleteOne({ organization_id: otherOrg.id });
+      await dbManager
+        .getDb()
+        .collection(config.masterCollection)
+        .deleteOne({ organization_name: OTHER_ORG_NAME });
+    });
+
+    test('users of one organization should not be reachable from another', async () => {
+      const tenant = await DatabaseManager.getInstance().getTenantByName(TEST_ORG_NAME);
+      const user = await tenant.db.collection('users').findOne({});
+
+      const response = await request(app)
+        .get(`/org/users/${user._id}`)
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('naming another organization should be refused', async () => {
+      const listResponse = await request(app)
+        .get('/org/users')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(listResponse.status).toBe(403);
+      expect(listResponse.body.error.code).toBe('CROSS_TENANT_ACCESS');
+
+      const deleteResponse = await request(app)
+        .delete('/org/delete')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(deleteResponse.status).toBe(403);
+      expect(deleteResponse.body.error.code).toBe('CROSS_TENANT_ACCESS');
+    });
+
+    test('naming the own organization should be accepted', async () => {
+      const response = await request(app)
+        .get('/org/users')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .query({ organization_name: OTHER_ORG_NAME });
+
+      expect(response.status).toBe(200);
+      expect(response.body.users.map((user) => user.email)).toEqual(['admin@othercompany.com']);
+    });
+  });
+
+  // Webhook Tests
+  describe('Webhooks', () => {
+    let receiver = null;
+    let received = null;
+    let webhook = null;
+
+    beforeAll(async () => {
+      // The receiver is a plain http server on this machine
+      config.webhookAllowPrivateTargets = true;
+      received = new Promise((resolve) => {
+        receiver = http.createServer((req, res) => {
+          let body = '';
+          req.on('data', (chunk) => (body += chunk));
+          req.on('end', () => {
+            res.end();
+            resolve({ headers: req.headers, body });
+          });
+        });
+      });
+      await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      config.webhookAllowPrivateTargets = false;
+      await new Promise((resolve) => receiver.close(resolve));
+    });
+
+    test('org webhooks should not reach plain http or private addresses', async () => {
+      config.webhookAllowPrivateTargets = false;
+      try {
+        for (const url of ['http://example.com/hook', 'https://169.254.169.254/latest']) {
+          const response = await request(app)
+            .post('/org/webhooks')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ url, events: ['org.updated'] });
+
+          expect(response.status).toBe(400);
+        }
+
+        // Host names are checked when the request is made
+        const result = await WebhookService.send(
+          { _id: 'hook', organization_id: 'org', url: 'https://localhost:1/hook', secret: 's' },
+          { _id: 'delivery', event_id: 'evt', event: 'org.updated', payload: '{}' }
+        );
+        expect(result).toEqual({
+          statusCode: null,
+          error: 'Endpoint resolves to a private address',
+        });
+      } finally {
+        config.webhookAllowPrivateTargets = true;
+      }
+    });
+
+    test('POST /org/webhooks should return the signing secret only once', async () => {
+      const response = await request(app)
+        .post('/org/webhooks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          url: `http://127.0.0.1:${receiver.address().port}/hook`,
+          events: ['org.updated'],
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.secret).toMatch(/^whsec_/);
+      webhook = response.body;
+
+      const listResponse = await request(app)
+        .get('/org/webhooks')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(listResponse.body.webhooks.map((hook) => hook.id)).toEqual([webhook.id]);
+      expect(listResponse.body.webhooks[0].secret).toBeUndefined();
+    });
+
+    test('subscribed events should be delivered signed', async () => {
+      const response = await request(app)
+        .post('/org/mfa-policy')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ organization_name: TEST_ORG_NAME, required: false });
+
+      expect(response.status).toBe(200);
+
+      const { headers, body } = await received;
+      expect(headers['x-webhook-event']).toBe('org.updated');
+      expect(headers['x-webhook-signature']).toBe(
+        `v1=${sign(webhook.secret, headers['x-webhook-timestamp'], body)}`
+      );
+      expect(JSON.parse(body).data.changes).toEqual({ mfa_required: false });
+    });
+
+    test('GET /org/webhooks/:id/deliveries should show the delivery', async () => {
+      let deliveries = [];
+      for (let i = 0; i < 20 && deliveries[0]?.status !== 'delivered'; i++) {
+        await WebhookService.processDue();
+        const response = await request(app)
+          .get(`/org/webhooks/${webhook.id}/deliveries`)
+          .set('Authorization', `Bearer ${authToken}`);
+        deliveries = response.body.deliveries;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0]).toMatchObject({
+        event: 'org.updated',
+        status: 'delivered',
+        attempts: 1,
+        last_status_code: 200,
+      });
+    });
+
+    test('DELETE /org/webhooks/:id should remove the webhook', async () => {
+      const response = await request(app)
+        .delete(`/org/webhooks/${webhook.id}`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+
+      const logResponse = await request(app)
+        .get(`/org/webhooks/${webhook.id}/deliveries`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(logResponse.status).toBe(404);
+    });
+  });
+
+  // Plan Tests
+  describe('Plans and Usage', () => {
+    test('GET /org/usage should report consumption against the plan', async () => {
+      const response = await request(app)
+        .get('/org/usage')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.plan).toBe('free');
+      expect(response.body.usage.users.used).toBeGreaterThanOrEqual(1);
+      expect(response.body.usage.users.limit).toBe(5);
+      expect(response.body.usage.requests_per_minute.used).toBeGreaterThanOrEqual(1);
+    });
+
+    test('plan limits should be enforced with QUOTA_EXCEEDED', async () => {
+      const plansCollection = DatabaseManager.getInstance()
+        .getDb()
+        .collection(config.planCollection);
+      await plansCollection.insertOne({ name: 'test_no_keys', limits: { max_api_keys: 0 } });
+
+      try {
+        await PlanService.assignPlan(TEST_ORG_NAME, 'test_no_keys');
+
+        const response = await request(app)
+          .post('/org/api-keys')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ name: 'Over quota' });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error.code).toBe('QUOTA_EXCEEDED');
+      } finally {
+        await PlanService.assignPlan(TEST_ORG_NAME, 'free');
+        await plansCollection.deleteOne({ name: 'test_no_keys' });
+      }
+    });
+
+    test('POST /org/plan should be restricted to super admins', async () => {
+      const response = await request(app)
+        .post('/org/plan')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ organization_name: TEST_ORG_NAME, plan: 'enterprise' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Export and Import', () => {
+    const COPY_ORG_NAME = 'Test Company Copy';
+
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    test('GET /org/export should stream a redacted archive to org admins', async () => {
+      const response = await request(app)
+        .get('/org/export')
+        .query({ organization_name: TEST_ORG_NAME })
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('application/gzip');
+      expect(response.headers['content-disposition']).toContain('org_test_company-');
+
+      const contents = gunzipSync(response.body).toString();
+      expect(contents).toContain('manifest.json');
+      expect(contents).toContain('collections/users.ndjson');
+      expect(contents).not.toContain('"password"');
+
+      await expect(
+        TransferService.importOrganization(Readable.from(response.body), {
+          organizationName: COPY_ORG_NAME,
+        })
+      ).rejects.toThrow('Redacted exports cannot be imported');
+    });
+
+    test('GET /org/export should keep credentials to super admins', async () => {
+      const response = await request(app)
+        .get('/org/export')
+        .query({ organization_name: TEST_ORG_NAME, include_secrets: true })
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('an export should import under a new name', async () => {
+      const tenant = await DatabaseManager.getInstance().getTenantByName(TEST_ORG_NAME);
+      const orgs = DatabaseManager.getInstance().getDb().collection(config.masterCollection);
+      const sso = {
+        issuer: 'https://idp.example.com',
+        client_id: 'client',
+        client_secret: 'secret',
+        allowed_domains: ['testcompany.com'],
+        jit_provisioning: false,
+        updated_at: new Date(),
+      };
+      await orgs.updateOne({ organization_name: TEST_ORG_NAME }, { $set: { sso } });
+      let prepared;
+      try {
+        prepared = await TransferService.prepareExport(tenant, { includeSecrets: true });
+      } finally {
+        await orgs.updateOne({ organization_name: TEST_ORG_NAME }, { $unset: { sso: '' } });
+      }
+      const archive = new PassThrough();
+      const chunks = [];
+      archive.on('data', (chunk) => chunks.push(chunk));
+      try {
+        await prepared.writeTo(archive);
+      } finally {
+        await prepared.cleanup();
+      }
+
+      const dbManager = DatabaseManager.getInstance();
+      const result = await TransferService.importOrganization(
+        Readable.from(Buffer.concat(chunks)),
+        { organizationName: COPY_ORG_NAME }
+      );
+
+      try {
+        expect(result.organization_name).toBe(COPY_ORG_NAME);
+        expect(result.imported_from.name).toBe(TEST_ORG_NAME);
+        // The admin's email belongs to the original org
+        expect(result.skipped_admins).toEqual(['newemail@testcompany.com']);
+        // A full export keeps what the copy needs to sign in through SSO
+        const copy = await orgs.findOne({ organization_name: COPY_ORG_NAME });
+        expect(copy.sso.client_secret).toBe('secret');
+
+        const usersFile = prepared.manifest.files.find((file) => file.collection === 'users');
+        const copiedUsers = await dbManager
+          .getClient()
+          .db(result.db_name)
+          .collection('users')
+          .countDocuments();
+        expect(copiedUsers).toBe(usersFile.documents);
+      } finally {
+        await dbManager.deleteOrgDatabase(result.db_name);
+        await dbManager
+          .getDb()
+          .collection(config.masterCollection)
+          .deleteOne({ organization_name: COPY_ORG_NAME });
+      }
+    });
+  });
+
+  // Organization Rename Tests
+  describe('Organization Rename', () => {
+    const RENAMED_ORG_NAME = 'Renamed Company';
+
+    test('POST /org/rename should keep the tenant database', async () => {
+      const response = await request(app)
+        .post('/org/rename')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ organization_name: TEST_ORG_NAME, new_organization_name: RENAMED_ORG_NAME });
+
+      expect(response.status).toBe(200);
+      expect(response.body.db_name).toBe('org_test_company');
+
+      const getResponse = await request(app)
+        .get('/org/get')
+        .query({ organization_name: RENAMED_ORG_NAME });
+
+      expect(getResponse.status).toBe(200);
+      expect(getResponse.body.db_name).toBe('org_test_company');
+    });
+
+    test('tenant routes should still resolve with a token issued before the rename', async () => {
+      const response = await request(app)
+        .get('/org/users')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBeGreaterThanOrEqual(1);
+    });
+
+    test('POST /org/rename should restore the original name', async () => {
+      const response = await request(app)
+        .post('/org/rename')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ organization_name: RENAMED_ORG_NAME, new_organization_name: TEST_ORG_NAME });
+
+      // The token still names the old org; the org is resolved by its id
+      expect(response.status).toBe(200);
+      expect(response.body.organization_name).toBe(TEST_ORG_NAME);
+    });
+  });
+
+  // Organization Deletion Tests
+  describe('Organization Deletion', () => {
+    test('DELETE /org/delete should require authentication', async () => {
+      const response = await request(app)
+        .delete('/org/delete')
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('DELETE /org/delete should delete organization with valid token', async () => {
+      const response = await request(app)
+        .delete('/org/delete')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Organization deleted successfully');
+    });
+
+    test('GET /org/get should report pending deletion', async () => {
+      const response = await request(app)
+        .get('/org/get')
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(response.status).toBe(200);
+      expect(response.body.pending_deletion).toBe(true);
+      expect(response.body.purge_after).toBeDefined();
+    });
+
+    test('GET /org/users should be blocked while pending deletion', async () => {
+      const response = await request(app)
+        .get('/org/users')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    test('POST /org/restore should bring the organization back', async () => {
+      const response = await request(app)
+        .post('/org/restore')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ organization_name: TEST_ORG_NAME });
+
+      expect(response.status).toBe(200);
+
+      const getResponse = await request(app)
+        .get('/org/get')
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(getResponse.body.pending_deletion).toBe(false);
+    });
+
+    test('POST /org/restore should reject organizations that are not deleted', async () => {
+      const response = await request(app)
+        .post('/org/restore')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ organization_name: TEST_ORG_NAME });
+
+      expect(response.status).toBe(409);
+    });
+
+    test('DELETE /org/delete should soft-delete the organization again', async () => {
+      const response = await request(app)
+        .delete('/org/delete')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ organization_name: TEST_ORG_NAME });
+
+      expect(response.status).toBe(200);
     });
   });
 });
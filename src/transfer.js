@@ -0,0 +1,414 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+import { ObjectId, BSON } from 'mongodb';
+import DatabaseManager from './database.js';
+import config from './config.js';
+import logger from './logger.js';
+import { ValidationError, NotFoundError, ConflictError } from './errors.js';
+import { OrganizationService } from './services.js';
+import { Migrator } from './migrator.js';
+import { WebhookService } from './webhooks.js';
+import { ArchiveWriter, extractArchive } from './archive.js';
+
+const { EJSON } = BSON;
+
+const ARCHIVE_FORMAT = 'org-export';
+const ARCHIVE_VERSION = 1;
+
+// Documents are inserted in batches of this size on import
+const IMPORT_BATCH_SIZE = 500;
+
+// Credential fields left out of redacted exports, wherever they appear;
+// `parent.child` removes a field of an embedded document
+const SECRET_FIELDS = ['password', 'mfa', 'pending_admin', 'sso.client_secret'];
+
+// Left out of every export: the credentials of a provisioning attempt,
+// which an exported (fully provisioned) org has no use for
+const INTERNAL_FIELDS = ['pending_admin'];
+
+// manifest.json, master/<name>.ndjson and collections/<name>.ndjson
+const ENTRY_PATTERN = /^(manifest\.json|(master|collections)\/[A-Za-z0-9%._-]+\.ndjson)$/;
+
+function redact(doc, fields = SECRET_FIELDS) {
+  const copy = { ...doc };
+  for (const field of fields) {
+    const [parent, child] = field.split('.');
+    if (!child) {
+      delete copy[parent];
+    } else if (copy[parent]) {
+      copy[parent] = { ...copy[parent] };
+      delete copy[parent][child];
+    }
+  }
+  return copy;
+}
+
+// Writes documents as canonical Extended JSON, one per line, so ObjectIds
+// and dates come back with their types. Returns what the manifest records.
+async function writeNdjson(filePath, documents, transform) {
+  const hash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(filePath);
+  let count = 0;
+  let bytes = 0;
+
+  for await (const doc of documents) {
+    const line = EJSON.stringify(transform(doc), { relaxed: false }) + '\n';
+    hash.update(line);
+    bytes += Buffer.byteLength(line);
+    count += 1;
+    if (!output.write(line)) {
+      await new Promise((resolve) => output.once('drain', resolve));
+    }
+  }
+
+  output.end();
+  await new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+  });
+
+  return { documents: count, bytes, sha256: hash.digest('hex') };
+}
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+    bytes += chunk.length;
+  }
+  return { bytes, sha256: hash.digest('hex') };
+}
+
+async function* readNdjson(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    if (line) {
+      yield EJSON.parse(line, { relaxed: false });
+    }
+  }
+}
+
+async function readAll(filePath) {
+  const documents = [];
+  for await (const doc of readNdjson(filePath)) {
+    documents.push(doc);
+  }
+  return documents;
+}
+
+// Exports and imports a whole tenant: its master record, its admins and
+// every collection of its org database. Archives are gzipped tars of NDJSON
+// files plus a manifest.json with document counts and SHA-256 checksums.
+// Sessions, API keys and audit entries stay behind: they belong to the
+// installation, not to the tenant's data.
+class TransferService {
+  // Collects the tenant into a temporary directory. The caller streams it
+  // with `writeTo` and must call `cleanup` afterwards; preparing first means
+  // errors surface before any response bytes are sent.
+  static async prepareExport(tenant, { includeSecrets = false } = {}) {
+    const dbManager = DatabaseManager.getInstance();
+    const db = dbManager.getDb();
+
+    const org = await db
+      .collection(config.masterCollection)
+      .findOne({ _id: new ObjectId(tenant.id) });
+    if (!org) {
+      throw new NotFoundError('Organization not found');
+    }
+    if (org.provisioning_status && org.provisioning_status !== 'active') {
+      throw new ConflictError('Organization is not fully provisioned');
+    }
+
+    const orgId = org._id.toString();
+    const dbName = org.db_name || dbManager.deriveOrgDbName(org.organization_name);
+    const clean = includeSecrets ? (doc) => doc : redact;
+    const cleanOrg = (doc) => redact(clean(doc), INTERNAL_FIELDS);
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'org-export-'));
+
+    try {
+      await fs.promises.mkdir(path.join(directory, 'master'));
+      await fs.promises.mkdir(path.join(directory, 'collections'));
+
+      const files = [];
+
+      files.push({
+        path: 'master/organization.ndjson',
+        ...(await writeNdjson(path.join(directory, 'master/organization.ndjson'), [org], cleanOrg)),
+      });
+
+      const admins = db.collection(config.adminCollection).find({ organization_id: orgId });
+      files.push({
+        path: 'master/admin_users.ndjson',
+        ...(await writeNdjson(path.join(directory, 'master/admin_users.ndjson'), admins, clean)),
+      });
+
+      const orgDb = dbManager.getClient().db(dbName);
+      const collections = await orgDb.listCollections({}, { nameOnly: true }).toArray();
+
+      for (const { name } of collections) {
+        if (name.startsWith('system.')) {
+          continue;
+        }
+
+        const collection = orgDb.collection(name);
+        // The index version and namespace are server-assigned
+        const indexes = (await collection.listIndexes().toArray())
+          .filter((index) => index.name !== '_id_')
+          .map(({ v, ns, ...index }) => index);
+
+        const entry = `collections/${encodeURIComponent(name)}.ndjson`;
+        files.push({
+          path: entry,
+          collection: name,
+          indexes,
+          ...(await writeNdjson(path.join(directory, entry), collection.find({}), clean)),
+        });
+      }
+
+      const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exported_at: new Date().toISOString(),
+        redacted: !includeSecrets,
+        organization: {
+          id: orgId,
+          name: org.organization_name,
+          db_name: dbName,
+        },
+        files,
+      };
+
+      logger.info('Organization export prepared', {
+        org: org.organization_name,
+        collections: collections.length,
+        redacted: !includeSecrets,
+      });
+
+      return {
+        manifest,
+        fileName: `${dbName}-${manifest.exported_at.slice(0, 10)}.tar.gz`,
+        writeTo: async (output) => {
+          const archive = new ArchiveWriter(output);
+          for (const file of files) {
+            await archive.addFile(file.path, path.join(directory, file.path));
+          }
+          // Last, so every checksum is known when it is written
+          await archive.addBuffer('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+          await archive.finish();
+        },
+        cleanup: () => fs.promises.rm(directory, { recursive: true, force: true }),
+      };
+    } catch (error) {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  // Unpacks and verifies an archive, then recreates the tenant under
+  // `organizationName` (the exported name when omitted). The org and its
+  // admins get new ids; tenant documents keep theirs, so admin_user_id
+  // still points at the right user. Admins whose email is already taken
+  // are skipped and reported. Like provisioning, the name is reserved
+  // with a pending record first and rolled back if a later step fails.
+  static async importOrganization(input, { organizationName } = {}) {
+    const dbManager = DatabaseManager.getInstance();
+    const db = dbManager.getDb();
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'org-import-'));
+
+    try {
+      let entries;
+      try {
+        entries = await extractArchive(input, directory, {
+          isAllowed: (name) => ENTRY_PATTERN.test(name),
+          maxBytes: config.transferMaxBytes,
+        });
+      } catch (error) {
+        // Only the uploaded bytes are read here, so the problem is theirs
+        throw new ValidationError(`Invalid archive: ${error.message}`, { cause: error });
+      }
+
+      if (!entries.includes('manifest.json')) {
+        throw new ValidationError('Invalid archive: manifest.json is missing');
+      }
+
+      let manifest;
+      try {
+        manifest = JSON.parse(
+          await fs.promises.readFile(path.join(directory, 'manifest.json'), 'utf8')
+        );
+      } catch (error) {
+        throw new ValidationError('Invalid archive: manifest.json is not valid JSON');
+      }
+
+      if (manifest.format !== ARCHIVE_FORMAT || manifest.version !== ARCHIVE_VERSION) {
+        throw new ValidationError('Invalid archive: unsupported format');
+      }
+      if (manifest.redacted) {
+        throw new ValidationError(
+          'Redacted exports cannot be imported: they contain no credentials'
+        );
+      }
+
+      for (const file of manifest.files) {
+        if (!entries.includes(file.path)) {
+          throw new ValidationError(`Invalid archive: ${file.path} is missing`);
+        }
+        const { bytes, sha256 } = await hashFile(path.join(directory, file.path));
+        if (bytes !== file.bytes || sha256 !== file.sha256) {
+          throw new ValidationError(`Invalid archive: checksum mismatch for ${file.path}`);
+        }
+      }
+
+      const [org] = await readAll(path.join(directory, 'master/organization.ndjson'));
+      if (!org) {
+        throw new ValidationError('Invalid archive: organization record is missing');
+      }
+
+      const orgName = organizationName || manifest.organization.name;
+      const orgsCollection = db.collection(config.masterCollection);
+      const adminCollection = db.collection(config.adminCollection);
+
+      if (await orgsCollection.findOne({ organization_name: orgName })) {
+        throw new ConflictError('Organization with this name already exists');
+      }
+
+      // Admin emails are unique across the deployment, so a copy next to
+      // the original cannot bring its admins along; the tenant users in the
+      // org database are unaffected
+      const admins = [];
+      const skippedAdmins = [];
+      for (const admin of await readAll(path.join(directory, 'master/admin_users.ndjson'))) {
+        if (await adminCollection.findOne({ admin_email: admin.admin_email })) {
+          skippedAdmins.push(admin.admin_email);
+        } else {
+          admins.push(admin);
+        }
+      }
+
+      // A database left over from a purged tenant counts as taken too: a
+      // failed import drops its target, which must never be someone's data
+      let dbName = dbManager.deriveOrgDbName(orgName);
+      const leftovers = await dbManager.getClient().db(dbName).listCollections().toArray();
+      if (leftovers.length || (await orgsCollection.findOne({ db_name: dbName }))) {
+        dbName = `${dbName}_${crypto.randomBytes(3).toString('hex')}`;
+      }
+
+      const now = new Date();
+      const { _id, deleted_at, deleted_by, purge_after, previous_names, ...orgFields } = org;
+      const imported = {
+        ...orgFields,
+        organization_name: orgName,
+        db_name: dbName,
+        is_active: false,
+        provisioning_status: 'pending',
+        provisioning_started_at: now,
+        imported_at: now,
+        imported_from: {
+          id: manifest.organization.id,
+          name: manifest.organization.name,
+          exported_at: manifest.exported_at,
+        },
+      };
+
+      try {
+        const result = await orgsCollection.insertOne(imported);
+        imported._id = result.insertedId;
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new ConflictError('Organization with this name already exists');
+        }
+        throw error;
+      }
+
+      const orgId = imported._id.toString();
+      let documents = 0;
+
+      try {
+        const orgDb = dbManager.getClient().db(dbName);
+
+        for (const file of manifest.files.filter((entry) => entry.collection)) {
+          const collection = orgDb.collection(file.collection);
+          for (const { key, name, ...options } of file.indexes || []) {
+            await collection.createIndex(key, { name, ...options });
+          }
+
+          let batch = [];
+          for await (const doc of readNdjson(path.join(directory, file.path))) {
+            batch.push(doc);
+            if (batch.length === IMPORT_BATCH_SIZE) {
+              await collection.insertMany(batch, { ordered: false });
+              documents += batch.length;
+              batch = [];
+            }
+          }
+          if (batch.length) {
+            await collection.insertMany(batch, { ordered: false });
+            documents += batch.length;
+          }
+        }
+
+        // The archive brings its own migrations collection; an export from
+        // an older release is brought up to this one's schema
+        await Migrator.up(orgDb, 'tenant');
+
+        if (admins.length) {
+          await adminCollection.insertMany(
+            admins.map((admin) => ({
+              ...admin,
+              _id: new ObjectId(),
+              organization_id: orgId,
+              organization_name: orgName,
+            }))
+          );
+        }
+
+        await orgsCollection.updateOne(
+          { _id: imported._id },
+          {
+            $set: { is_active: true, provisioning_status: 'active', provisioned_at: new Date() },
+          }
+        );
+      } catch (error) {
+        logger.error('Organization import failed, rolling back', {
+          org: orgName,
+          message: error.message,
+        });
+        await OrganizationService.rollbackProvisioning(imported);
+        throw error;
+      }
+
+      logger.info('Organization imported', {
+        org: orgName,
+        from: manifest.organization.name,
+        documents,
+      });
+      await WebhookService.emit('org.created', dbManager.tenantFor(imported), {
+        plan: imported.plan || config.defaultPlan,
+        imported_from: imported.imported_from,
+      });
+
+      return {
+        message: 'Organization imported successfully',
+        id: orgId,
+        organization_name: orgName,
+        db_name: dbName,
+        imported_from: imported.imported_from,
+        collections: manifest.files.filter((entry) => entry.collection).length,
+        documents,
+        admins: admins.length,
+        skipped_admins: skippedAdmins,
+      };
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+export { TransferService };
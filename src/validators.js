@@ -1,4 +1,7 @@
 import Joi from 'joi';
+import { PERMISSIONS } from './permissions.js';
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from './webhooks.js';
+import { ValidationError } from './errors.js';
 
 const createOrgSchema = Joi.object({
   organization_name: Joi.string().min(2).max(100).required().messages({
@@ -20,6 +23,7 @@ const loginSchema = Joi.object({
   password: Joi.string().required().messages({
     'string.empty': 'Password is required',
   }),
+  device: Joi.string().max(100),
 });
 
 const updateOrgSchema = Joi.object({
@@ -36,23 +40,316 @@ const getOrgSchema = Joi.object({
   organization_name: Joi.string().min(2).max(100).required(),
 });
 
-function validateRequest(schema) {
+const restoreOrgSchema = Joi.object({
+  organization_name: Joi.string().min(2).max(100).required(),
+});
+
+const renameOrgSchema = Joi.object({
+  organization_name: Joi.string().min(2).max(100).required(),
+  new_organization_name: Joi.string().min(2).max(100).required().messages({
+    'string.min': 'Organization name must be at least 2 characters',
+  }),
+});
+
+const listOrgsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(500),
+  search: Joi.string().max(100),
+  is_active: Joi.boolean(),
+  created_from: Joi.date().iso(),
+  created_to: Joi.date()
+    .iso()
+    .when('created_from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('created_from')) }),
+  include_deleted: Joi.boolean().default(false),
+  sort: Joi.string().valid('created_at', 'organization_name').default('created_at'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+});
+
+const listAuditSchema = Joi.object({
+  org_id: Joi.string().hex().length(24),
+  action: Joi.string().max(100),
+  actor_id: Joi.string().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  before: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+const provisioningSchema = Joi.object({
+  organization_name: Joi.string().min(2).max(100).required(),
+});
+
+// Built-in or custom; whether the role exists is checked by the service
+const roleName = Joi.string()
+  .trim()
+  .pattern(/^[a-z][a-z0-9_-]{1,49}$/)
+  .messages({
+    'string.pattern.base':
+      'Role name must start with a letter and use only lowercase letters, digits, _ or -',
+  });
+
+const createUserSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Valid email is required',
+  }),
+  password: Joi.string().min(6).max(100).required().messages({
+    'string.min': 'Password must be at least 6 characters',
+  }),
+  name: Joi.string().max(100),
+  role: roleName.default('member'),
+});
+
+const updateUserSchema = Joi.object({
+  name: Joi.string().max(100),
+  role: roleName,
+  password: Joi.string().min(6).max(100),
+}).min(1);
+
+const listUsersSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const userLoginSchema = Joi.object({
+  organization_name: Joi.string().min(2).max(100).required(),
+  email: Joi.string().email().required().messages({
+    'string.email': 'Valid email is required',
+  }),
+  password: Joi.string().required().messages({
+    'string.empty': 'Password is required',
+  }),
+});
+
+const logoutSchema = Joi.object({
+  refresh_token: Joi.string().required(),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Valid email is required',
+  }),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  password: Joi.string().min(6).max(100).required().messages({
+    'string.min': 'Password must be at least 6 characters',
+  }),
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+const resendVerificationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Valid email is required',
+  }),
+});
+
+const mfaLoginSchema = Joi.object({
+  mfa_token: Joi.string().required(),
+  code: Joi.string().trim().required(),
+});
+
+const mfaCodeSchema = Joi.object({
+  code: Joi.string().trim().required(),
+});
+
+const mfaPolicySchema = Joi.object({
+  organization_name: Joi.string().min(1).max(100).required(),
+  required: Joi.boolean().required(),
+});
+
+const unlockAccountSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Valid email is required',
+  }),
+});
+
+const permissionList = Joi.array()
+  .items(Joi.string().valid(...PERMISSIONS))
+  .unique();
+
+const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  // Leaving scopes out gives the key everything an org admin may do
+  scopes: permissionList.min(1),
+  expires_at: Joi.date().iso().greater('now'),
+});
+
+const createRoleSchema = Joi.object({
+  name: roleName.required(),
+  description: Joi.string().max(200),
+  permissions: permissionList.required(),
+});
+
+const updateRoleSchema = Joi.object({
+  description: Joi.string().max(200),
+  permissions: permissionList,
+}).min(1);
+
+const createInvitationSchema = Joi.object({
+  email: Joi.string().email().required().messages({
+    'string.email': 'Valid email is required',
+  }),
+  role: roleName.default('member'),
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  password: Joi.string().min(6).max(100).required().messages({
+    'string.min': 'Password must be at least 6 characters',
+  }),
+  name: Joi.string().max(100),
+});
+
+const assignPlanSchema = Joi.object({
+  organization_name: Joi.string().min(1).max(100).required(),
+  plan: Joi.string().trim().min(1).max(50).required(),
+});
+
+const isTimeZone = (value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+};
+
+const isLocale = (value, helpers) => {
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch (error) {
+    return helpers.error('any.invalid');
+  }
+};
+
+const featureFlagName = /^[a-z][a-z0-9_]{0,49}$/;
+
+// The full settings document of an organization. Every field is optional;
+// unset fields fall back to the defaults in services.js.
+const orgSettingsSchema = Joi.object({
+  display_name: Joi.string().trim().min(1).max(100),
+  timezone: Joi.string().custom(isTimeZone).messages({
+    'any.invalid': 'Timezone must be an IANA time zone such as Europe/Berlin',
+  }),
+  locale: Joi.string().max(35).custom(isLocale).messages({
+    'any.invalid': 'Locale must be a BCP 47 language tag such as en-US',
+  }),
+  contact: Joi.object({
+    email: Joi.string().email(),
+    phone: Joi.string().pattern(/^\+?[0-9 ()-]{5,30}$/),
+    website: Joi.string().uri({ scheme: ['http', 'https'] }),
+  }),
+  branding: Joi.object({
+    logo_url: Joi.string().uri({ scheme: ['https'] }),
+    primary_color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/),
+  }),
+  features: Joi.object().pattern(featureFlagName, Joi.boolean()).max(50),
+});
+
+// PATCH /org/settings takes a JSON Merge Patch (RFC 7386): the same shape
+// as the document, where null removes a field
+const orgSettingsPatchSchema = orgSettingsSchema
+  .fork(
+    [
+      'display_name',
+      'timezone',
+      'locale',
+      'contact',
+      'contact.email',
+      'contact.phone',
+      'contact.website',
+      'branding',
+      'branding.logo_url',
+      'branding.primary_color',
+    ],
+    (schema) => schema.allow(null)
+  )
+  .fork('features', () =>
+    Joi.object().pattern(featureFlagName, Joi.boolean().allow(null)).allow(null)
+  )
+  .min(1);
+
+const settingsHistorySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const exportOrgSchema = Joi.object({
+  organization_name: Joi.string().min(2).max(100).required(),
+  include_secrets: Joi.boolean().default(false),
+});
+
+const importOrgSchema = Joi.object({
+  organization_name: Joi.string().min(2).max(100),
+});
+
+const createWebhookSchema = Joi.object({
+  url: Joi.string()
+    .uri({ scheme: ['https', 'http'] })
+    .max(2000)
+    .required(),
+  events: Joi.array()
+    .items(Joi.string().valid(...WEBHOOK_EVENTS))
+    .unique()
+    .min(1)
+    .required(),
+  description: Joi.string().trim().max(200),
+});
+
+const listWebhookDeliveriesSchema = Joi.object({
+  status: Joi.string().valid(...DELIVERY_STATUSES),
+  before: Joi.string().hex().length(24),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const domainName = Joi.string().trim().lowercase().domain({ tlds: false }).max(253);
+
+const ssoConfigSchema = Joi.object({
+  organization_name: Joi.string().min(1).max(100),
+  issuer: Joi.string()
+    .uri({ scheme: ['https', 'http'] })
+    .max(2000)
+    .required(),
+  client_id: Joi.string().trim().min(1).max(500).required(),
+  // Optional when updating: the stored secret is kept
+  client_secret: Joi.string().min(1).max(2000),
+  allowed_domains: Joi.array().items(domainName).unique().min(1).max(50).required(),
+  jit_provisioning: Joi.boolean().default(true),
+});
+
+const ssoStartSchema = Joi.object({
+  organization_name: Joi.string().min(1).max(100).required(),
+  login_hint: Joi.string().max(320),
+});
+
+// Providers report a failed login with `error` instead of a code
+const ssoCallbackSchema = Joi.object({
+  state: Joi.string().max(200).required(),
+  code: Joi.string().max(4000),
+  error: Joi.string().max(200),
+  error_description: Joi.string().max(2000),
+})
+  .xor('code', 'error')
+  .unknown(true);
+
+// `source` pins the request property to validate ('body' or 'query'). When
+// omitted, the body is used if it names an organization, else the query.
+function validateRequest(schema, source) {
   return (req, res, next) => {
-    const source = req.body.organization_name ? req.body : req.query;
-    const { error, value } = schema.validate(source, { abortEarly: false });
+    const input = source
+      ? req[source]
+      : req.body.organization_name ? req.body : req.query;
+    const { error, value } = schema.validate(input, { abortEarly: false });
 
     if (error) {
       const details = error.details.map((e) => ({
         field: e.path.join('.'),
         message: e.message,
       }));
-      return res.status(400).json({
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Input validation failed',
-          details,
-        },
-      });
+      return next(new ValidationError('Input validation failed', { details }));
     }
 
     req.validatedData = value;
@@ -66,5 +363,39 @@ export {
   updateOrgSchema,
   deleteOrgSchema,
   getOrgSchema,
+  restoreOrgSchema,
+  renameOrgSchema,
+  listOrgsSchema,
+  listAuditSchema,
+  provisioningSchema,
+  createUserSchema,
+  updateUserSchema,
+  listUsersSchema,
+  userLoginSchema,
+  logoutSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema,
+  mfaLoginSchema,
+  mfaCodeSchema,
+  mfaPolicySchema,
+  unlockAccountSchema,
+  createApiKeySchema,
+  createRoleSchema,
+  updateRoleSchema,
+  createInvitationSchema,
+  acceptInvitationSchema,
+  assignPlanSchema,
+  orgSettingsSchema,
+  orgSettingsPatchSchema,
+  settingsHistorySchema,
+  exportOrgSchema,
+  importOrgSchema,
+  createWebhookSchema,
+  listWebhookDeliveriesSchema,
+  ssoConfigSchema,
+  ssoStartSchema,
+  ssoCallbackSchema,
   validateRequest,
 };
@@ -0,0 +1,374 @@
+import crypto from 'crypto';
+import net from 'net';
+import { ObjectId } from 'mongodb';
+import DatabaseManager from './database.js';
+import config from './config.js';
+import { ValidationError, NotFoundError } from './errors.js';
+import { request, isPrivateAddress } from './outbound.js';
+import logger from './logger.js';
+
+// Every event a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'org.created',
+  'org.updated',
+  'org.deleted',
+  'org.restored',
+  'org.purged',
+  'admin.login',
+  'user.created',
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// A claimed delivery is retried after this long if its sender never
+// reports back, e.g. because the instance died mid-request
+const CLAIM_LEASE_MS = 60 * 1000;
+
+// Signed over `<timestamp>.<body>` so a captured request cannot be replayed
+// later with a fresh timestamp
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Exponential backoff: the first retry after WEBHOOK_RETRY_BASE_SECONDS,
+// doubling with every further failed attempt
+function retryDelayMs(attempts) {
+  return config.webhookRetryBaseSeconds * 1000 * 2 ** (attempts - 1);
+}
+
+// Webhook endpoints belong to an organization, or to the platform when
+// registered by a super admin, in which case they hear about every org.
+// Events go through an outbox: emit() stores one delivery per subscribed
+// endpoint and only then tries to send it, so nothing is lost when the
+// receiver or this instance is down. Pending deliveries are retried with
+// exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached; delivered and
+// failed ones stay readable as the delivery log until their TTL expires.
+class WebhookService {
+  static getCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.webhookCollection);
+  }
+
+  static getDeliveryCollection() {
+    const db = DatabaseManager.getInstance().getDb();
+    return db.collection(config.webhookDeliveryCollection);
+  }
+
+  static formatWebhook(webhook) {
+    return {
+      id: webhook._id.toString(),
+      organization_id: webhook.organization_id,
+      url: webhook.url,
+      events: webhook.events,
+      description: webhook.description || null,
+      created_by: webhook.created_by,
+      created_at: webhook.created_at.toISOString(),
+    };
+  }
+
+  static formatDelivery(delivery) {
+    return {
+      id: delivery._id.toString(),
+      webhook_id: delivery.webhook_id,
+      event_id: delivery.event_id,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      next_attempt_at:
+        delivery.status === 'pending' ? delivery.next_attempt_at.toISOString() : null,
+      last_attempt_at: delivery.last_attempt_at ? delivery.last_attempt_at.toISOString() : null,
+      last_status_code: delivery.last_status_code ?? null,
+      last_error: delivery.last_error || null,
+      delivered_at: delivery.delivered_at ? delivery.delivered_at.toISOString() : null,
+      created_at: delivery.created_at.toISOString(),
+    };
+  }
+
+  // `tenant` is null for platform webhooks
+  static ownerFilter(tenant) {
+    return { organization_id: tenant ? tenant.id : null };
+  }
+
+  // Org endpoints are chosen by tenants, so they must not point into our
+  // own network: https only, and no private or loopback address, which
+  // send() enforces again for host names. Platform endpoints are set up
+  // by the operators and may be internal.
+  static assertTenantUrl(url) {
+    if (config.webhookAllowPrivateTargets) {
+      return;
+    }
+
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'https:') {
+      throw new ValidationError('Webhook URL must use https');
+    }
+    const address = hostname.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIP(address) && isPrivateAddress(address)) {
+      throw new ValidationError('Webhook URL must not point to a private address');
+    }
+  }
+
+  static async createWebhook(tenant, createdBy, { url, events, description = null }) {
+    if (tenant) {
+      WebhookService.assertTenantUrl(url);
+    }
+
+    const secret = `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const webhook = {
+      ...WebhookService.ownerFilter(tenant),
+      url,
+      events,
+      description,
+      secret,
+      created_by: createdBy,
+      created_at: new Date(),
+    };
+
+    const result = await WebhookService.getCollection().insertOne(webhook);
+    webhook._id = result.insertedId;
+
+    logger.info('Webhook created', { org_id: webhook.organization_id, webhook_id: webhook._id });
+
+    // The only time the signing secret is returned
+    return {
+      ...WebhookService.formatWebhook(webhook),
+      secret,
+    };
+  }
+
+  static async listWebhooks(tenant) {
+    const webhooks = await WebhookService.getCollection()
+      .find(WebhookService.ownerFilter(tenant))
+      .sort({ created_at: -1 })
+      .toArray();
+
+    return { webhooks: webhooks.map(WebhookService.formatWebhook) };
+  }
+
+  static async findWebhook(tenant, webhookId) {
+    if (!ObjectId.isValid(webhookId)) {
+      throw new NotFoundError('Webhook not found');
+    }
+
+    const webhook = await WebhookService.getCollection().findOne({
+      _id: new ObjectId(webhookId),
+      ...WebhookService.ownerFilter(tenant),
+    });
+
+    if (!webhook) {
+      throw new NotFoundError('Webhook not found');
+    }
+
+    return webhook;
+  }
+
+  // Deliveries still waiting go with the endpoint
+  static async deleteWebhook(tenant, webhookId) {
+    const webhook = await WebhookService.findWebhook(tenant, webhookId);
+
+    await WebhookService.getCollection().deleteOne({ _id: webhook._id });
+    await WebhookService.getDeliveryCollection().deleteMany({ webhook_id: webhookId });
+
+    logger.info('Webhook deleted', { org_id: webhook.organization_id, webhook_id: webhookId });
+
+    return { message: 'Webhook deleted', id: webhookId };
+  }
+
+  static async listDeliveries(tenant, webhookId, { status, before, limit = 20 } = {}) {
+    await WebhookService.findWebhook(tenant, webhookId);
+
+    const filter = { webhook_id: webhookId };
+    if (status) filter.status = status;
+    if (before) filter._id = { $lt: new ObjectId(before) };
+
+    const deliveries = await WebhookService.getDeliveryCollection()
+      .find(filter)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .toArray();
+
+    const hasMore = deliveries.length > limit;
+    const page = hasMore ? deliveries.slice(0, limit) : deliveries;
+
+    return {
+      deliveries: page.map(WebhookService.formatDelivery),
+      next_before: hasMore ? page[page.length - 1]._id.toString() : null,
+    };
+  }
+
+  // Queues `event` for the tenant's endpoints and the platform's, then
+  // starts sending in the background. Like audit entries, webhooks never
+  // make the operation that triggered them fail: errors are logged and
+  // swallowed.
+  static async emit(event, tenant, data = {}) {
+    try {
+      const webhooks = await WebhookService.getCollection()
+        .find({ organization_id: { $in: [tenant.id, null] }, events: event })
+        .project({ _id: 1 })
+        .toArray();
+
+      if (!webhooks.length) {
+        return;
+      }
+
+      const now = new Date();
+      const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+      const payload = JSON.stringify({
+        id: eventId,
+        type: event,
+        created_at: now.toISOString(),
+        organization: { id: tenant.id, name: tenant.name },
+        data,
+      });
+
+      await WebhookService.getDeliveryCollection().insertMany(
+        webhooks.map((webhook) => ({
+          webhook_id: webhook._id.toString(),
+          organization_id: tenant.id,
+          event_id: eventId,
+          event,
+          payload,
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: now,
+          created_at: now,
+          expires_at: new Date(
+            now.getTime() + config.webhookDeliveryRetentionDays * 24 * 60 * 60 * 1000
+          ),
+        }))
+      );
+
+      WebhookService.processDue().catch((error) => {
+        logger.error('Webhook dispatch failed', { event, message: error.message });
+      });
+    } catch (error) {
+      logger.error('Failed to queue webhook event', { event, message: error.message });
+    }
+  }
+
+  // Claims the oldest due delivery by pushing its next attempt past the
+  // lease, so concurrent dispatchers never send the same attempt twice
+  static async claimDue() {
+    const now = new Date();
+    return WebhookService.getDeliveryCollection().findOneAndUpdate(
+      { status: 'pending', next_attempt_at: { $lte: now } },
+      {
+        $set: { next_attempt_at: new Date(now.getTime() + CLAIM_LEASE_MS) },
+        $inc: { attempts: 1 },
+      },
+      { sort: { next_attempt_at: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  // One POST; resolves to { statusCode, error }, never throws. The error is
+  // shown in the delivery log, so connection failures are not described:
+  // what refused or timed out would tell a tenant about hosts and ports
+  // it cannot otherwise see.
+  static async send(webhook, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    try {
+      const response = await request(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'org-management-webhooks/1',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `v1=${sign(webhook.secret, timestamp, delivery.payload)}`,
+        },
+        body: delivery.payload,
+        timeoutMs: config.webhookTimeoutSeconds * 1000,
+        // Only the status matters; do not wait for whatever body comes back
+        readBody: false,
+        allowPrivate: webhook.organization_id === null || config.webhookAllowPrivateTargets,
+      });
+
+      return response.status >= 200 && response.status < 300
+        ? { statusCode: response.status, error: null }
+        : { statusCode: response.status, error: `Endpoint answered ${response.status}` };
+    } catch (error) {
+      logger.warn('Webhook request failed', {
+        webhook_id: webhook._id,
+        delivery_id: delivery._id,
+        message: error.message,
+      });
+      return {
+        statusCode: null,
+        error:
+          error.code === 'ERR_PRIVATE_ADDRESS'
+            ? 'Endpoint resolves to a private address'
+            : 'Endpoint could not be reached',
+      };
+    }
+  }
+
+  static async attempt(delivery) {
+    const deliveries = WebhookService.getDeliveryCollection();
+    const webhook = await WebhookService.getCollection().findOne({
+      _id: new ObjectId(delivery.webhook_id),
+    });
+
+    const now = new Date();
+    const { statusCode, error } = webhook
+      ? await WebhookService.send(webhook, delivery)
+      : { statusCode: null, error: 'Webhook no longer exists' };
+    const attemptedAt = new Date();
+
+    const $set = {
+      last_attempt_at: attemptedAt,
+      last_status_code: statusCode,
+      last_error: error,
+    };
+
+    if (!error) {
+      $set.status = 'delivered';
+      $set.delivered_at = attemptedAt;
+    } else if (!webhook || delivery.attempts >= config.webhookMaxAttempts) {
+      $set.status = 'failed';
+    } else {
+      $set.next_attempt_at = new Date(now.getTime() + retryDelayMs(delivery.attempts));
+    }
+
+    await deliveries.updateOne({ _id: delivery._id }, { $set });
+
+    if (error) {
+      logger.warn('Webhook delivery failed', {
+        delivery_id: delivery._id,
+        attempt: delivery.attempts,
+        status: $set.status || 'pending',
+        message: error,
+      });
+    }
+
+    return $set.status || 'retrying';
+  }
+
+  // Sends every delivery that is due, up to `limit`. Runs after each emit
+  // and on a schedule (`npm run webhooks`, POST /webhooks/deliver or the
+  // local server's timer) to pick up retries.
+  static async processDue({ limit = 100 } = {}) {
+    const result = { delivered: 0, retrying: 0, failed: 0 };
+
+    for (let i = 0; i < limit; i++) {
+      const delivery = await WebhookService.claimDue();
+      if (!delivery) {
+        break;
+      }
+      result[await WebhookService.attempt(delivery)] += 1;
+    }
+
+    return result;
+  }
+
+  // Purged organizations take their endpoints and delivery log with them
+  static async deleteOrganizationWebhooks(orgId) {
+    await WebhookService.getCollection().deleteMany({ organization_id: orgId });
+    await WebhookService.getDeliveryCollection().deleteMany({ organization_id: orgId });
+  }
+}
+
+export { WebhookService, WEBHOOK_EVENTS, DELIVERY_STATUSES, sign };